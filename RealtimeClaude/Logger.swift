@@ -2,6 +2,7 @@ import Foundation
 import SwiftUI
 import Network
 import Combine
+import CryptoKit
 
 protocol LoggerProtocol {
     var logsSubject: CurrentValueSubject<[LogMessage], Never> { get }
@@ -11,8 +12,10 @@ protocol LoggerProtocol {
     var uptimeTodaySubject: CurrentValueSubject<Int, Never> { get }
     var uptimeTotalSubject: CurrentValueSubject<Int, Never> { get }
     var totalLogsSubject: CurrentValueSubject<Int, Never> { get }
+    var pairingRequiredSubject: CurrentValueSubject<Bool, Never> { get }
 
     func sendPromptToMac(_ prompt: String, category: String)
+    func pair(code: String)
 }
 
 enum LogType: Codable {
@@ -56,7 +59,7 @@ private class Logger: @unchecked Sendable, LoggerProtocol {
 
     private let connection: NWConnection
     private let macHostname = "Felixs-MacBook-Pro.local"
-    private let port: UInt16 = 8082
+    private let port: UInt16 = 8443
     private var dataBuffer = Data()
     private var totalBytesReceived: Int = 0
     private var totalBytesSentToMac: Int = 0
@@ -69,13 +72,19 @@ private class Logger: @unchecked Sendable, LoggerProtocol {
     let uptimeTotalSubject = CurrentValueSubject<Int, Never>(0)
     let totalLogsSubject = CurrentValueSubject<Int, Never>(0)
     let debugLogsSubject = CurrentValueSubject<[(LogMessage, Int)], Never>([])
+    let pairingRequiredSubject = CurrentValueSubject<Bool, Never>(false)
 
     private var sessionNumber: Int = 0
+    private var resumeToken: String?
+    private var lastNarrationSeq: Int?
 
     fileprivate init() {
         
+        guard let expectedFingerprint = Logger.configuredCertificateFingerprint() else {
+            fatalError("No Mac certificate fingerprint configured - build with the deploy scripts, or set MAC_CERTIFICATE_FINGERPRINT to what `node mac-server.js cert-fingerprint` prints")
+        }
         let endpoint = NWEndpoint.hostPort(host: NWEndpoint.Host(macHostname), port: NWEndpoint.Port(rawValue: port)!)
-        connection = NWConnection(to: endpoint, using: .tcp)
+        connection = NWConnection(to: endpoint, using: Logger.pinnedTLSParameters(expectedFingerprint: expectedFingerprint))
 
         connection.stateUpdateHandler = { state in
             switch state {
@@ -94,6 +103,39 @@ private class Logger: @unchecked Sendable, LoggerProtocol {
         connection.start(queue: .global())
     }
 
+    // The SHA-256 fingerprint the Mac printed for its certificate, as "AA:BB:...". The
+    // deploy scripts put it in Info.plist through the MAC_CERTIFICATE_FINGERPRINT build setting.
+    private static func configuredCertificateFingerprint() -> String? {
+        guard let fingerprint = Bundle.main.object(forInfoDictionaryKey: "MacCertificateFingerprint") as? String else {
+            return nil
+        }
+        let normalized = fingerprint.trimmingCharacters(in: .whitespacesAndNewlines).uppercased()
+        return normalized.isEmpty ? nil : normalized
+    }
+
+    // The Mac's certificate is self-signed, so rather than asking a CA the app accepts only
+    // the certificate whose fingerprint it was built with. After `mac-server.js generate-cert`
+    // made a new one, deploy the app again.
+    private static func pinnedTLSParameters(expectedFingerprint: String) -> NWParameters {
+        let tlsOptions = NWProtocolTLS.Options()
+        sec_protocol_options_set_verify_block(tlsOptions.securityProtocolOptions, { _, trust, complete in
+            let secTrust = sec_trust_copy_ref(trust).takeRetainedValue()
+            guard let chain = SecTrustCopyCertificateChain(secTrust) as? [SecCertificate],
+                  let certificate = chain.first else {
+                complete(false)
+                return
+            }
+
+            let fingerprint = SHA256.hash(data: SecCertificateCopyData(certificate) as Data)
+                .map { String(format: "%02X", $0) }
+                .joined(separator: ":")
+
+            complete(fingerprint == expectedFingerprint)
+        }, .global())
+
+        return NWParameters(tls: tlsOptions)
+    }
+
     func addLog(
         _ message: String,
         type: LogType = .log,
@@ -247,6 +289,42 @@ private class Logger: @unchecked Sendable, LoggerProtocol {
             handleHandshakeMessage(jsonData)
         case "prompt_ack":
             handlePromptAckMessage(jsonData)
+        case "paired":
+            handlePairedMessage(jsonData)
+        case "auth_error":
+            handleAuthErrorMessage(jsonData)
+        case "protocol_error":
+            handleProtocolErrorMessage(jsonData)
+        case "credentials":
+            handleCredentialsMessage(jsonData)
+        case "assistant_message":
+            noteNarrationSeq(jsonData)
+            handleAssistantMessage(jsonData)
+        case "tool_event":
+            noteNarrationSeq(jsonData)
+            handleToolEventMessage(jsonData)
+        case "turn_done":
+            noteNarrationSeq(jsonData)
+            handleTurnDoneMessage(jsonData)
+        case "queue_status":
+            handleQueueStatusMessage(jsonData)
+        case "approval_required":
+            noteNarrationSeq(jsonData)
+            handleApprovalRequiredMessage(jsonData)
+        case "control_ack":
+            handleControlAckMessage(jsonData)
+        case "conversation_list":
+            handleConversationListMessage(jsonData)
+        case "transcript":
+            handleTranscriptMessage(jsonData)
+        case "search_results":
+            handleSearchResultsMessage(jsonData)
+        case "resume_ack":
+            handleResumeAckMessage(jsonData)
+        case "history_error":
+            handleHistoryErrorMessage(jsonData)
+        case "server_shutdown":
+            handleServerShutdownMessage(jsonData)
         default:
             fatalError("Unexpected message type: \(messageType)")
         }
@@ -259,12 +337,20 @@ private class Logger: @unchecked Sendable, LoggerProtocol {
     }
 
     private func handleHandshakeMessage(_ jsonData: [String: Any]) {
-        if let apiKey = jsonData["apiKey"] as? String {
-            realtimeAPI.connect(apiKey: apiKey)
+        if let clientSecret = jsonData["clientSecret"] as? String {
+            realtimeAPI.connect(apiKey: clientSecret)
+        } else {
+            let credentialsError = jsonData["credentialsError"] as? String ?? "no client secret in handshake"
+            error("Failed to get Realtime credentials: \(credentialsError)")
         }
 
         sessionNumber = jsonData["sessionNumber"] as! Int
         sessionNumberSubject.send(sessionNumber)
+        resumeToken = jsonData["resumeToken"] as? String
+
+        if jsonData["resumed"] as? Bool == true {
+            log("🔁 Resumed session #\(sessionNumber), last acknowledged log: \(jsonData["lastAckedLogId"] as? String ?? "none")")
+        }
 
         var totalLogs = 0
         var totalUptime = 0
@@ -286,6 +372,11 @@ private class Logger: @unchecked Sendable, LoggerProtocol {
         }
 
         log("Successful handshake: Session #\(sessionNumber), Total: \(totalUptime)ms, Today: \(todayUptime)ms, Logs: \(totalLogs)")
+
+        if let targets = jsonData["targets"] as? [[String: Any]] {
+            let names = targets.compactMap { $0["name"] as? String }
+            log("🎯 Claude targets: \(names.joined(separator: ", "))")
+        }
     }
 
     private func acknowledgeTransmission(for logId: String) {
@@ -298,8 +389,17 @@ private class Logger: @unchecked Sendable, LoggerProtocol {
         let status = jsonData["status"] as! String
         let originalPrompt = jsonData["originalPrompt"] as? String ?? "Unknown prompt"
 
+        if status == "progress" {
+            let state = jsonData["state"] as? String ?? "unknown"
+            log("⏳ Prompt \(state): \(originalPrompt)")
+            return
+        }
+
         if status == "success" {
             log("✅ Prompt successfully injected into terminal: \(originalPrompt)")
+            if jsonData["exactMatch"] as? Bool == false {
+                log("⚠️ Claude received the prompt with different text")
+            }
 
             // Return function call result to OpenAI
             if let callId = realtimeAPI.currentFunctionCallId {
@@ -324,16 +424,159 @@ private class Logger: @unchecked Sendable, LoggerProtocol {
         }
     }
 
+    private func handleCredentialsMessage(_ jsonData: [String: Any]) {
+        let clientSecret = jsonData["clientSecret"] as! String
+        let expiresAt = jsonData["clientSecretExpiresAt"] as! Double
+        log("🔑 Received refreshed Realtime credentials, valid until \(Date(timeIntervalSince1970: expiresAt / 1000))")
+        realtimeAPI.updateCredentials(apiKey: clientSecret)
+    }
+
+    // Sent back in the next start, so a reconnect replays only the narration events missed
+    private func noteNarrationSeq(_ jsonData: [String: Any]) {
+        lastNarrationSeq = jsonData["seq"] as? Int
+    }
+
+    private func handleAssistantMessage(_ jsonData: [String: Any]) {
+        let text = jsonData["text"] as! String
+        log("🤖 Claude: \(text)")
+    }
+
+    private func handleToolEventMessage(_ jsonData: [String: Any]) {
+        let phase = jsonData["phase"] as! String
+        let toolName = jsonData["toolName"] as? String ?? "unknown tool"
+        log("🔧 Claude tool \(phase): \(toolName)")
+    }
+
+    private func handleTurnDoneMessage(_ jsonData: [String: Any]) {
+        log("🏁 Claude finished its turn")
+    }
+
+    private func handleQueueStatusMessage(_ jsonData: [String: Any]) {
+        let state = jsonData["state"] as! String
+        let position = jsonData["position"] as? Int
+        debugLog(id: "queueStatus", message: "📥 Prompt \(state)\(position.map { " at position \($0)" } ?? "")")
+    }
+
+    private func handleApprovalRequiredMessage(_ jsonData: [String: Any]) {
+        let toolName = jsonData["toolName"] as? String ?? "unknown tool"
+        log("✋ Claude is waiting for approval to use \(toolName)")
+    }
+
+    private func handleControlAckMessage(_ jsonData: [String: Any]) {
+        let command = jsonData["command"] as! String
+        if jsonData["status"] as? String == "success" {
+            log("🎛️ \(command) sent to Claude")
+        } else {
+            error("❌ \(command) failed: \(jsonData["error"] as? String ?? "Unknown error")")
+        }
+    }
+
+    private func handleConversationListMessage(_ jsonData: [String: Any]) {
+        let conversations = jsonData["conversations"] as! [[String: Any]]
+        log("📚 \(conversations.count) recent Claude conversations")
+    }
+
+    private func handleTranscriptMessage(_ jsonData: [String: Any]) {
+        let messages = jsonData["messages"] as! [[String: Any]]
+        let title = jsonData["title"] as? String ?? "conversation"
+        log("📜 \(messages.count) messages from \(title)")
+    }
+
+    private func handleSearchResultsMessage(_ jsonData: [String: Any]) {
+        let results = jsonData["results"] as! [[String: Any]]
+        log("🔎 \(results.count) conversation matches")
+    }
+
+    private func handleResumeAckMessage(_ jsonData: [String: Any]) {
+        let conversationId = jsonData["conversationId"] as! String
+        if jsonData["status"] as? String == "success" {
+            log("⏪ Resumed conversation \(conversationId)")
+        } else {
+            error("❌ Failed to resume conversation: \(jsonData["error"] as? String ?? "Unknown error")")
+        }
+    }
+
+    private func handleHistoryErrorMessage(_ jsonData: [String: Any]) {
+        error("❌ Conversation history error: \(jsonData["message"] as? String ?? "Unknown error")")
+    }
+
+    private func handleServerShutdownMessage(_ jsonData: [String: Any]) {
+        let reason = jsonData["reason"] as? String ?? "unknown"
+        let restarting = jsonData["restarting"] as? Bool ?? false
+        log("🛑 Mac server shutting down (\(reason))\(restarting ? " - it will restart" : "")")
+    }
+
+    private var deviceToken: String {
+        UserDefaults.standard.string(forKey: "deviceToken") ?? ""
+    }
+
+    private func handlePairedMessage(_ jsonData: [String: Any]) {
+        let token = jsonData["deviceToken"] as! String
+        UserDefaults.standard.set(token, forKey: "deviceToken")
+        pairingRequiredSubject.send(false)
+        log("🔐 Paired with Mac as device \(jsonData["deviceId"] as? String ?? "unknown")")
+        sendStartMessage()
+    }
+
+    private func handleAuthErrorMessage(_ jsonData: [String: Any]) {
+        let code = jsonData["code"] as? String ?? "unknown"
+        let message = jsonData["message"] as? String ?? "no message"
+        let rejectedType = jsonData["rejectedType"] as? String ?? "unknown"
+
+        switch code {
+        case "device_token_required", "invalid_device_token":
+            UserDefaults.standard.removeObject(forKey: "deviceToken")
+            pairingRequiredSubject.send(true)
+        case "invalid_pairing_code", "pairing_locked":
+            pairingRequiredSubject.send(true)
+        default:
+            break
+        }
+
+        // Until pairing is done every log is rejected, and so would be an error log about it
+        if rejectedType == "log" || rejectedType == "error" {
+            debugLog(id: "authError", message: "🚫 [Auth] Mac rejected \(rejectedType) (\(code)) - not paired yet")
+        } else {
+            error("Mac rejected message (\(code)): \(message)")
+        }
+    }
+
+    private func handleProtocolErrorMessage(_ jsonData: [String: Any]) {
+        let code = jsonData["code"] as? String ?? "unknown"
+        let message = jsonData["message"] as? String ?? "no message"
+        let inReplyTo = jsonData["inReplyTo"] as? String ?? "no id"
+        error("Mac rejected message \(inReplyTo) (\(code)): \(message)")
+    }
+
     private func sendStartMessage() {
-        let startMessage = ["type": "start"] as [String: Any]
+        var startMessage = ["type": "start", "deviceToken": deviceToken, "protocolVersions": [1]] as [String: Any]
+        if let resumeToken = resumeToken {
+            startMessage["resumeToken"] = resumeToken
+        }
+        if let lastNarrationSeq = lastNarrationSeq {
+            startMessage["lastNarrationSeq"] = lastNarrationSeq
+        }
         let jsonData = try! JSONSerialization.data(withJSONObject: startMessage)
 
         sendMessage(jsonData, messageType: "start", logMessage: "📤 [iOS → macOS] Sending start message")
     }
 
+    func pair(code: String) {
+        let pairMessage: [String: Any] = [
+            "type": "pair",
+            "code": code,
+            "deviceName": UIDevice.current.name
+        ]
+
+        let jsonData = try! JSONSerialization.data(withJSONObject: pairMessage)
+
+        sendMessage(jsonData, messageType: "pair", logMessage: "📤 [iOS → macOS] Sending pairing code")
+    }
+
     func sendPromptToMac(_ prompt: String, category: String) {
         let promptMessage: [String: Any] = [
             "type": "prompt",
+            "deviceToken": deviceToken,
             "prompt": prompt,
             "category": category,
             "timestamp": Date().timeIntervalSince1970
@@ -10,6 +10,7 @@ protocol RealtimeAPIProtocol: Sendable {
     var currentFunctionCallId: String? { get }
 
     func connect(apiKey: String)
+    func updateCredentials(apiKey: String)
     func enableMicrophone()
     func disableMicrophone()
     func enablePlayback()
@@ -95,6 +96,18 @@ private class RealtimeAPI: NSObject, @unchecked Sendable, RealtimeAPIProtocol {
         log("WebSocket connection initiated - waiting for delegate callback")
     }
 
+    // A refreshed client secret is kept for the next connection; if there is no open
+    // connection (the handshake came without credentials, or it closed), connect now
+    func updateCredentials(apiKey: String) {
+        self.apiKey = apiKey
+        if webSocketTask?.state != .running {
+            log("Realtime API not connected - connecting with the refreshed credentials")
+            connect(apiKey: apiKey)
+        } else {
+            log("Refreshed credentials stored for the next Realtime API connection")
+        }
+    }
+
     func receiveMessage() {
         webSocketTask?.receive { [weak self] result in
             guard let self = self else {
@@ -9,6 +9,23 @@ struct WorkView: View {
     var body: some View {
         ZStack {
             VStack(spacing: 30) {
+                if viewModel.pairingRequired {
+                    VStack(spacing: 12) {
+                        Text("Enter the pairing code shown on the Mac")
+                            .font(.headline)
+                            .foregroundColor(.white)
+                        TextField("Pairing code", text: $viewModel.pairingCode)
+                            .keyboardType(.numberPad)
+                            .textFieldStyle(.roundedBorder)
+                            .frame(width: 200)
+                        Button("Pair") {
+                            viewModel.submitPairingCode()
+                        }
+                        .disabled(viewModel.pairingCode.count != 6)
+                    }
+                    .padding(.horizontal, 40)
+                }
+
                 VStack(spacing: 8) {
                     Text("Microphone: \(viewModel.isMicrophoneEnabled ? "ON" : "OFF")")
                         .font(.title2)
@@ -85,6 +102,8 @@ class WorkViewModel {
     var isMicrophoneEnabled = true
     var isPlayingAudio = false
     var lastPrompt = ""
+    var pairingRequired = false
+    var pairingCode = ""
     var pitch: Double = 0
     var roll: Double = 0
     var microphoneOverride = false {
@@ -100,6 +119,7 @@ class WorkViewModel {
     private var microphoneCancellable: AnyCancellable?
     private var playingCancellable: AnyCancellable?
     private var promptCancellable: AnyCancellable?
+    private var pairingCancellable: AnyCancellable?
     private let motionManager = CMMotionManager()
     private var isFirstMotionUpdate = true
 
@@ -121,6 +141,18 @@ class WorkViewModel {
             .sink { [weak self] prompt in
                 self?.lastPrompt = prompt
             }
+
+        pairingCancellable = logger.pairingRequiredSubject
+            .receive(on: DispatchQueue.main)
+            .sink { [weak self] isRequired in
+                self?.pairingRequired = isRequired
+            }
+    }
+
+    func submitPairingCode() {
+        log("Pairing with the Mac")
+        logger.pair(code: pairingCode)
+        pairingCode = ""
     }
 
     func startMotionDetection() {
@@ -33,12 +33,20 @@ fi
 echo "✅ Found device: iPad"
 echo "   Device ID: $IPAD_ID"
 
+# The app only accepts the Mac server's certificate with the fingerprint it is built with
+if [ ! -f private/tls/cert.pem ]; then
+    echo "🔐 Creating a TLS certificate for the Mac server..."
+    node mac-server.js generate-cert
+fi
+CERT_FINGERPRINT=$(node mac-server.js cert-fingerprint)
+echo "🔐 Pinning certificate fingerprint $CERT_FINGERPRINT"
+
 # Build the app
 echo "🔨 Building RealtimeClaude app for iPad..."
 
 # Force iPad idiom for the build
 /Applications/Xcode.app/Contents/Developer/usr/bin/xcodebuild clean -project RealtimeClaude.xcodeproj -scheme RealtimeClaude -destination "platform=iOS,id=$IPAD_ID" TARGETED_DEVICE_FAMILY=2
-/Applications/Xcode.app/Contents/Developer/usr/bin/xcodebuild build -project RealtimeClaude.xcodeproj -scheme RealtimeClaude -destination "platform=iOS,id=$IPAD_ID" -allowProvisioningUpdates -allowProvisioningDeviceRegistration "CODE_SIGN_IDENTITY=Apple Development" CODE_SIGNING_REQUIRED=YES TARGETED_DEVICE_FAMILY=2
+/Applications/Xcode.app/Contents/Developer/usr/bin/xcodebuild build -project RealtimeClaude.xcodeproj -scheme RealtimeClaude -destination "platform=iOS,id=$IPAD_ID" -allowProvisioningUpdates -allowProvisioningDeviceRegistration "CODE_SIGN_IDENTITY=Apple Development" CODE_SIGNING_REQUIRED=YES TARGETED_DEVICE_FAMILY=2 "MAC_CERTIFICATE_FINGERPRINT=$CERT_FINGERPRINT"
 
 # Find the built .app in DerivedData
 APP_PATH="/Users/felixlunzenfichter/Library/Developer/Xcode/DerivedData/RealtimeClaude-bbutrzksxnlhcedrvawihvkjxxkh/Build/Products/Debug-iphoneos/RealtimeClaude.app"
@@ -60,6 +68,7 @@ if [ "${1:-}" = "--with-servers" ]; then
     pkill -f "node test-system.js" 2>/dev/null || true
     pkill -f "node mac-server.js" 2>/dev/null || true
     lsof -ti:8082 | xargs kill -9 2>/dev/null || true
+    lsof -ti:8443 | xargs kill -9 2>/dev/null || true
     sleep 1
 
     # Verify dependencies
@@ -20,6 +20,11 @@ cleanup_processes() {
         lsof -ti:8082 | xargs kill -9
     fi
 
+    if lsof -ti:8443 > /dev/null 2>&1; then
+        echo "   Cleaning up port 8443..."
+        lsof -ti:8443 | xargs kill -9
+    fi
+
     echo "✅ Cleanup complete"
 }
 
@@ -66,11 +71,19 @@ fi
 
 echo "✅ Found device: $DEVICE_NAME (ID: $DEVICE_ID)"
 
+# The app only accepts the Mac server's certificate with the fingerprint it is built with
+if [ ! -f private/tls/cert.pem ]; then
+    echo "🔐 Creating a TLS certificate for the Mac server..."
+    node mac-server.js generate-cert
+fi
+CERT_FINGERPRINT=$(node mac-server.js cert-fingerprint)
+echo "🔐 Pinning certificate fingerprint $CERT_FINGERPRINT"
+
 echo "🔨 Building RealtimeClaude app for iPhone..."
 
 /Applications/Xcode.app/Contents/Developer/usr/bin/xcodebuild clean -project RealtimeClaude.xcodeproj -scheme RealtimeClaude -destination "platform=iOS,id=$DEVICE_ID" TARGETED_DEVICE_FAMILY=1
 
-/Applications/Xcode.app/Contents/Developer/usr/bin/xcodebuild build -project RealtimeClaude.xcodeproj -scheme RealtimeClaude -destination "platform=iOS,id=$DEVICE_ID" -allowProvisioningUpdates -allowProvisioningDeviceRegistration CODE_SIGN_IDENTITY="Apple Development" CODE_SIGNING_REQUIRED=YES TARGETED_DEVICE_FAMILY=1
+/Applications/Xcode.app/Contents/Developer/usr/bin/xcodebuild build -project RealtimeClaude.xcodeproj -scheme RealtimeClaude -destination "platform=iOS,id=$DEVICE_ID" -allowProvisioningUpdates -allowProvisioningDeviceRegistration CODE_SIGN_IDENTITY="Apple Development" CODE_SIGNING_REQUIRED=YES TARGETED_DEVICE_FAMILY=1 "MAC_CERTIFICATE_FINGERPRINT=$CERT_FINGERPRINT"
 
 APP_PATH="/Users/felixlunzenfichter/Library/Developer/Xcode/DerivedData/RealtimeClaude-bbutrzksxnlhcedrvawihvkjxxkh/Build/Products/Debug-iphoneos/RealtimeClaude.app"
 if [ ! -d "$APP_PATH" ]; then
@@ -1,382 +1,1144 @@
 const net = require('net');
+const tls = require('tls');
+const http = require('http');
+const https = require('https');
 const fs = require('fs');
 const path = require('path');
-const { exec } = require('child_process');
+const { createDeliveryBackend } = require('./server/delivery-backends');
+const { createConversationTailer } = require('./server/conversation-tailer');
+const { createNarrationFeed } = require('./server/narration-feed');
+const { startPromptVerification, isVerifiablePrompt } = require('./server/prompt-verifier');
+const { createPromptQueue } = require('./server/prompt-queue');
+const { createApprovalDetector } = require('./server/approval-detector');
+const { resolveTargets, routeTarget } = require('./server/targets');
+const { createConversationHistory } = require('./server/conversation-history');
+const { createStatsIndex } = require('./server/stats-index');
+const { createLogStore } = require('./server/log-store');
+const { createSessionResumer } = require('./server/session-resume');
+const { createDashboard } = require('./server/dashboard');
+const { loadConfig, printConfig } = require('./server/config');
+const { createOpenAIUpstream, createTokenProvider } = require('./server/token-provider');
+const { createDeviceRegistry, createPairingCodes } = require('./server/pairing');
+const { generateSelfSignedCertificate, certificateFingerprint, hasCertificate, loadServerOptions } = require('./server/tls');
+const { createDispatcher } = require('./server/dispatcher');
+const { messageKind, negotiateVersion, protocolError, SUPPORTED_VERSIONS } = require('./server/protocol');
+const { handleTcpSocket, attachWebSocketTransport } = require('./server/transports');
+const { EXIT_CONFIG_ERROR, runSupervisor } = require('./server/supervisor');
 
 process.on('uncaughtException', (error) => {
     console.error(`💥 FATAL: Mac Server crashed! ${error}\n❌ Server must be reliable - this is unacceptable!`);
-    process.exit(1);
+    console.error(error && error.stack);
+    exitAfterCrash();
 });
 
 process.on('unhandledRejection', (reason, promise) => {
     console.error(`💥 FATAL: Unhandled promise rejection! ${reason}\n❌ All promises must be handled - exiting!`);
-    process.exit(1);
+    exitAfterCrash();
 });
 
-const logsDir = path.join('private', 'logs');
+const config = loadConfigOrExit();
+const deviceRegistry = createDeviceRegistry(config.devicesFile);
+const logsDir = config.logsDir;
+const logStore = createLogStore({
+    logsDir,
+    counterFile: config.logs.counterFile,
+    keepUncompressed: config.logs.keepUncompressed,
+    retention: config.logs.retention
+});
+const sessionResumer = createSessionResumer({
+    tokenFile: config.resume.tokenFile,
+    windowMs: config.resume.windowSeconds * 1000,
+    logStore
+});
+const verificationDeadlineMs = config.verification.deadlineMs;
+const narrationFeed = createNarrationFeed({ seqFile: config.narration.seqFile });
+const targets = resolveTargets(config).map(createTargetRuntime);
+const credentialRefreshers = new Map();
+// The device each authenticated connection belongs to, and connections whose device was revoked
+const authenticatedDevices = new WeakMap();
+const revokedConnections = new WeakSet();
+const dispatcher = createDispatcher({
+    routes: {
+        pair: handlePairMessage,
+        start: handleStartMessage,
+        prompt: handlePromptMessage,
+        interrupt: handleControlMessage,
+        approve: handleControlMessage,
+        deny: handleControlMessage,
+        select_option: handleControlMessage,
+        list_conversations: handleListConversationsMessage,
+        get_transcript: handleGetTranscriptMessage,
+        search_conversations: handleSearchConversationsMessage,
+        resume_conversation: handleResumeConversationMessage,
+        log: handleLogMessage,
+        error: handleErrorMessage
+    },
+    publicKinds: ['pair'],
+    authorize: isAuthorized,
+    onUnauthorized: rejectUnauthorized,
+    onOpen: handleConnectionOpened,
+    onClose: handleConnectionClosed
+});
+const promptOrigins = new Map();
+const openConnections = new Set();
+// Every server that accepts connections, so a shutdown can close them all
+const listeningServers = [];
+const startedAt = Date.now();
+let activeConnection = null;
+let tokenProvider = null;
+let statsIndex = null;
+let dashboard = null;
+let pairingCodes = null;
 let currentSessionFile = null;
 let currentSessionNumber = 0;
+// Ids of the logs written to the current session, to drop the ones a client sends again
+let currentSessionLogIds = new Set();
+let lastLoggedId = null;
+let listenersReady = 0;
+let listenersExpected = 0;
+let shuttingDown = false;
+
+if (config.command.length > 0) {
+    runCommand(config.command);
+} else {
+    startServer();
+}
 
-const server = net.createServer((socket) => {
-    console.log('iOS client connected');
+function startServer() {
+    printConfig(config);
+    fs.mkdirSync(logsDir, { recursive: true });
+
+    statsIndex = createStatsIndex({ indexFile: config.statsIndexFile, logStore });
+    statsIndex.reconcile();
+    runLogMaintenance();
+
+    tokenProvider = createTokenProvider({
+        upstream: createOpenAIUpstream({
+            apiKey: readApiKey(),
+            url: config.credentials.upstreamUrl,
+            model: config.credentials.model,
+            timeoutMs: config.credentials.timeoutMs
+        }),
+        ttlSeconds: config.credentials.ttlSeconds,
+        refreshMarginSeconds: config.credentials.refreshMarginSeconds
+    });
 
-    let buffer = '';
+    targets.forEach(target => {
+        target.queue = createPromptQueue({
+            file: target.queueFile,
+            maxAttempts: config.queue.maxAttempts,
+            retryBaseMs: config.queue.retryBaseMs,
+            retryMaxMs: config.queue.retryMaxMs,
+            staleBusyMs: config.queue.staleBusyMs,
+            deliver: (entry, callback) => deliverQueuedPrompt(target, entry, callback),
+            onChange: (entry) => handleQueueChange(target, entry)
+        });
+    });
 
-    socket.on('data', (data) => {
-        buffer += data.toString();
-        buffer = processBufferedData(socket, buffer);
+    if (process.env.MAC_SERVER_SUPERVISED === '1') {
+        // Ctrl+C signals the supervisor's whole process group; the supervisor passes it on as SIGTERM
+        process.on('SIGINT', () => {});
+        process.on('disconnect', () => {
+            console.log('🛡️ The supervisor is gone - not staying behind without it');
+            shutdown('supervisor_exited');
+        });
+    } else {
+        process.on('SIGINT', () => shutdown('SIGINT'));
+    }
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+    startListeners();
+
+    if (config.dashboard.enabled) {
+        startDashboard();
+    }
+
+    pairingCodes = createPairingCodes({
+        ttlSeconds: config.pairing.codeTtlSeconds,
+        maxAttempts: config.pairing.maxAttempts,
+        globalMaxAttempts: config.pairing.globalMaxAttempts,
+        lockoutBaseMs: config.pairing.lockoutBaseSeconds * 1000,
+        lockoutMaxMs: config.pairing.lockoutMaxSeconds * 1000,
+        onNewCode: (code, expiresAt) => {
+            console.log(`🔐 Pairing code: ${code} (valid until ${new Date(expiresAt).toLocaleTimeString()})`);
+        }
     });
+}
+
+// Everything one Claude session needs besides its queue, which is created with the server
+function createTargetRuntime(target) {
+    return {
+        ...target,
+        deliveryBackend: createDeliveryBackend({ ...target.delivery, projectDir: target.projectDir, conversationDir: target.conversationDir }),
+        history: createConversationHistory(target.conversationDir),
+        approvalDetector: createApprovalDetector({
+            waitMs: config.approvals.detectAfterMs,
+            onApprovalRequired: (event) => {
+                console.log(`✋ Claude (${target.name}) is probably waiting for approval to use ${event.toolName}`);
+                narrationFeed.publish({ ...event, target: target.name });
+            }
+        }),
+        queue: null
+    };
+}
+
+function handleConnectionOpened(connection) {
+    openConnections.add(connection);
+}
 
-    socket.on('end', () => {
-        console.log('iOS client disconnected');
+function handleConnectionClosed(connection) {
+    openConnections.delete(connection);
+    if (activeConnection === connection) {
+        activeConnection = null;
+    }
+    narrationFeed.detach(connection);
+    stopCredentialRefresh(connection);
+}
+
+function startDashboard() {
+    dashboard = createDashboard({
+        logStore,
+        statsIndex,
+        requirementsFile: config.requirementsFile,
+        listPrompts,
+        currentSession: () => currentSessionNumber,
+        health: healthReport
     });
 
-    socket.on('error', (err) => {
-        console.log('Socket error:', err.message);
+    const dashboardServer = http.createServer(dashboard.handleRequest);
+    listeningServers.push(dashboardServer);
+    dashboardServer.on('error', (error) => {
+        console.error(`❌ Dashboard unavailable: ${error.message}`);
     });
-});
+    dashboardServer.listen(config.dashboard.port, config.dashboard.host, () => {
+        console.log(`📈 Dashboard at http://${config.dashboard.host}:${config.dashboard.port}/`);
+    });
+}
+
+// Prompt history of every target for the dashboard, newest first
+function listPrompts() {
+    return targets
+        .flatMap(target => target.queue.history().map(entry => ({
+            id: entry.id,
+            target: target.name,
+            prompt: entry.prompt,
+            category: entry.category,
+            state: entry.state,
+            attempts: entry.attempts,
+            createdAt: entry.createdAt,
+            finishedAt: entry.finishedAt,
+            conversationId: entry.conversationId,
+            exactMatch: entry.exactMatch,
+            outcome: promptOutcome(entry),
+            error: entry.state === 'failed' ? entry.lastError : undefined
+        })))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// The final prompt_ack the client got (or will get) for the entry
+function promptOutcome(entry) {
+    if (entry.state === 'in_progress' || entry.state === 'done') return 'success';
+    if (entry.state === 'failed') return 'error';
+    return 'pending';
+}
+
+function startListeners() {
+    const tlsAvailable = hasCertificate(config.tls);
+
+    if (!tlsAvailable && !config.insecure) {
+        console.error(`❌ No TLS certificate at ${config.tls.certFile} / ${config.tls.keyFile}`);
+        console.error('   Run `node mac-server.js generate-cert`, or start with --insecure to accept unencrypted connections');
+        process.exit(EXIT_CONFIG_ERROR);
+    }
+
+    listenersExpected = (tlsAvailable ? 1 : 0) + (config.insecure ? 1 : 0) + (config.websocket.enabled ? 1 : 0);
+
+    if (tlsAvailable) {
+        const tlsServer = tls.createServer(loadServerOptions(config.tls), (socket) => handleTcpSocket(socket, 'tls', dispatcher));
+        tlsServer.on('tlsClientError', (error) => {
+            console.log('TLS handshake failed:', error.message);
+        });
+        listeningServers.push(tlsServer);
+        exitOnListenError(tlsServer, 'TLS listener', config.tls.port);
+        tlsServer.listen(config.tls.port, config.host, () => {
+            console.log(`🔒 Mac server listening with TLS on ${config.host}:${config.tls.port}`);
+            console.log(`   Certificate fingerprint (SHA-256): ${certificateFingerprint(config.tls.certFile)}`);
+            onListening();
+        });
+    }
+
+    if (config.insecure) {
+        const plainServer = net.createServer((socket) => handleTcpSocket(socket, 'tcp', dispatcher));
+        listeningServers.push(plainServer);
+        exitOnListenError(plainServer, 'Plain TCP listener', config.port);
+        plainServer.listen(config.port, config.host, () => {
+            console.log(`⚠️ Mac server listening WITHOUT encryption on ${config.host}:${config.port} (--insecure)`);
+            onListening();
+        });
+    }
+
+    if (config.websocket.enabled) {
+        startWebSocketListener(tlsAvailable);
+    }
+}
+
+// Secure (wss) whenever a certificate exists, plain ws only in insecure mode
+function startWebSocketListener(tlsAvailable) {
+    const httpServer = tlsAvailable ? https.createServer(loadServerOptions(config.tls)) : http.createServer();
+    const transport = tlsAvailable ? 'wss' : 'ws';
+
+    httpServer.on('request', (request, response) => {
+        if (new URL(request.url, 'http://server').pathname === '/health') {
+            sendHealthReport(response);
+            return;
+        }
+        response.writeHead(426, { 'Content-Type': 'text/plain' });
+        response.end(`Connect with a WebSocket to ${config.websocket.path}\n`);
+    });
+
+    attachWebSocketTransport(httpServer, config.websocket.path, transport, dispatcher, config.websocket.allowedOrigins);
+    listeningServers.push(httpServer);
+    exitOnListenError(httpServer, 'WebSocket listener', config.websocket.port);
+
+    httpServer.listen(config.websocket.port, config.host, () => {
+        const icon = tlsAvailable ? '🔒' : '⚠️';
+        console.log(`${icon} WebSocket endpoint at ${transport}://${config.host}:${config.websocket.port}${config.websocket.path}`);
+        onListening();
+    });
+}
+
+// A port that is taken or not allowed will not free itself, so restarting cannot help
+function exitOnListenError(server, name, port) {
+    server.on('error', (error) => {
+        console.error(`❌ ${name} cannot listen on ${config.host}:${port}: ${error.message}`);
+        process.exit(EXIT_CONFIG_ERROR);
+    });
+}
+
+function onListening() {
+    listenersReady++;
+    if (listenersReady > 1) return;
 
-server.listen(8082, '0.0.0.0', () => {
-    console.log('Mac server listening on port 8082');
     console.log('Waiting for iOS connections...');
     console.log('Logs directory:', logsDir);
-    console.log('Existing sessions:', getSessionCount());
-});
+    console.log('Existing sessions:', logStore.listSessions().length);
+
+    targets.forEach(target => {
+        console.log(`🎯 Target "${target.name}": ${target.projectDir} via ${target.deliveryBackend.name}${target.categories.length > 0 ? ` (categories: ${target.categories.join(', ')})` : ''}`);
+        createConversationTailer(target.conversationDir, (event) => {
+            event.target = target.name;
+            narrationFeed.publish(event);
+            target.queue.noteClaudeActivity(event.type);
+            target.approvalDetector.noteEvent(event);
+        });
+
+        const pendingPrompts = target.queue.pending().length;
+        if (pendingPrompts > 0) {
+            console.log(`📥 Resuming ${pendingPrompts} queued prompt(s) for "${target.name}"`);
+        }
+        target.queue.start();
+    });
+}
+
+// `ok` once every listener is up; anything else is answered with 503
+function healthReport() {
+    let status = 'ok';
+    if (shuttingDown) status = 'shutting_down';
+    else if (listenersReady < listenersExpected) status = 'starting';
 
-function processBufferedData(socket, buffer) {
-    let messagesProcessed = 0;
-    let remainingBuffer = buffer;
+    return {
+        status,
+        pid: process.pid,
+        startedAt: new Date(startedAt).toISOString(),
+        uptimeMs: Date.now() - startedAt,
+        supervised: process.env.MAC_SERVER_SUPERVISED === '1',
+        restarts: parseInt(process.env.MAC_SERVER_RESTARTS || '0', 10),
+        connections: openConnections.size,
+        currentSession: currentSessionNumber || null,
+        targets: targets.map(target => ({
+            name: target.name,
+            backend: target.deliveryBackend.name,
+            pendingPrompts: target.queue ? target.queue.pending().length : 0
+        }))
+    };
+}
 
-    // Process ALL complete messages in the buffer
-    while (remainingBuffer.indexOf('\n') !== -1) {
-        const newlineIndex = remainingBuffer.indexOf('\n');
-        const line = remainingBuffer.substring(0, newlineIndex);
-        remainingBuffer = remainingBuffer.substring(newlineIndex + 1);
+function sendHealthReport(response) {
+    const report = healthReport();
+    response.writeHead(report.status === 'ok' ? 200 : 503, { 'Content-Type': 'application/json; charset=utf-8' });
+    response.end(JSON.stringify(report));
+}
 
-        if (line.trim()) {
-            try {
-                const jsonData = JSON.parse(line);
-                handleMessage(socket, jsonData);
-                messagesProcessed++;
-            } catch (error) {
-                console.error('Failed to parse JSON:', error, 'Line:', line);
-            }
+// No new connections, clients told why, the prompt being delivered given `shutdown.graceMs`
+// to finish; queued prompts stay in the queue file and are delivered after the next start.
+// Logs are written synchronously, so only the stats index needs flushing.
+function shutdown(signal) {
+    if (shuttingDown) {
+        console.log(`\n⚠️ ${signal} again - exiting without waiting`);
+        process.exit(1);
+    }
+    shuttingDown = true;
+    console.log(`\n🛑 ${signal} - shutting down gracefully (send it again to exit at once)`);
+
+    listeningServers.forEach(server => server.close());
+    notifyShutdown(signal, 'Mac server is shutting down');
+
+    const graceTimer = setTimeout(() => {
+        console.log(`⏱️ Prompt delivery still running after ${config.shutdown.graceMs}ms - it is retried after the next start`);
+        finishShutdown();
+    }, config.shutdown.graceMs);
+
+    let queuesStopping = targets.length;
+    targets.forEach(target => target.queue.stop(() => {
+        queuesStopping--;
+        if (queuesStopping === 0) {
+            clearTimeout(graceTimer);
+            finishShutdown();
         }
+    }));
+}
+
+function finishShutdown() {
+    const queued = targets.reduce((sum, target) => sum + target.queue.pending().length, 0);
+    if (queued > 0) {
+        console.log(`💾 ${queued} prompt(s) stay queued for the next start`);
     }
+    statsIndex.flush();
+    openConnections.forEach(connection => connection.close());
+    console.log('👋 Mac server stopped');
+    process.exit(0);
+}
 
+function notifyShutdown(reason, message) {
+    openConnections.forEach(connection => {
+        if (!connection.isOpen()) return;
+        connection.send({
+            type: 'server_shutdown',
+            reason,
+            restarting: reason === 'crash' && process.env.MAC_SERVER_SUPERVISED === '1',
+            message
+        });
+    });
+}
 
-    return remainingBuffer;
+// Whatever can still be saved after an uncaught error; the state may be broken, so
+// nothing here is allowed to keep the process alive
+function exitAfterCrash() {
+    try {
+        notifyShutdown('crash', 'Mac server crashed');
+        if (statsIndex) statsIndex.flush();
+    } catch (error) {
+        console.error(`❌ Could not clean up after the crash: ${error.message}`);
+    }
+    process.exit(1);
 }
 
-function handleMessage(socket, logData) {
-    if (isStartMessage(logData)) {
-        handleStartMessage(socket);
-    } else if (isPromptMessage(logData)) {
-        handlePromptMessage(socket, logData);
-    } else if (isErrorMessage(logData)) {
-        handleErrorMessage(socket, logData);
-    } else if (isLogMessage(logData)) {
-        handleLogMessage(socket, logData);
+function loadConfigOrExit() {
+    try {
+        return loadConfig();
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(EXIT_CONFIG_ERROR);
+    }
+}
+
+function runCommand([command, ...args]) {
+    if (command === 'devices') {
+        runDevicesCommand(args);
+    } else if (command === 'generate-cert') {
+        runGenerateCertCommand();
+    } else if (command === 'cert-fingerprint') {
+        runCertFingerprintCommand();
+    } else if (command === 'rebuild-stats') {
+        runRebuildStatsCommand();
+    } else if (command === 'supervise' && args.length === 0) {
+        runSuperviseCommand();
     } else {
-        handleUnknownMessage(logData);
+        console.error(`❌ Unknown command: ${command}`);
+        console.error('Commands: devices list | devices revoke <deviceId> | generate-cert | cert-fingerprint | rebuild-stats | supervise');
+        process.exit(1);
     }
 }
 
-function isStartMessage(logData) {
-    return logData.type === 'start';
+// The server with the same options, restarted whenever it crashes
+function runSuperviseCommand() {
+    const argv = process.argv.slice(2);
+    argv.splice(argv.indexOf('supervise'), 1);
+    runSupervisor({
+        script: __filename,
+        args: argv,
+        crashLog: config.supervisor.crashLog,
+        restartBaseMs: config.supervisor.restartBaseMs,
+        restartMaxMs: config.supervisor.restartMaxMs,
+        stableAfterMs: config.supervisor.stableAfterMs
+    });
 }
 
-function isPromptMessage(logData) {
-    return logData.type === 'prompt';
+function runRebuildStatsCommand() {
+    const summary = createStatsIndex({ indexFile: config.statsIndexFile, logStore }).rebuild();
+    console.log(`📊 Rebuilt ${config.statsIndexFile} from ${summary.sessions} session(s) in ${logsDir}`);
+    console.log(`   Logs: ${summary.totalLogs} (${summary.totalErrors} errors), total uptime: ${summary.totalUptime}ms, today: ${summary.todayUptime}ms`);
 }
 
-function isErrorMessage(logData) {
-    return 'error' in logData.type;
+function runGenerateCertCommand() {
+    if (hasCertificate(config.tls)) {
+        console.error(`❌ A certificate already exists at ${config.tls.certFile} - delete it first to replace it`);
+        process.exit(1);
+    }
+
+    generateSelfSignedCertificate({
+        certFile: config.tls.certFile,
+        keyFile: config.tls.keyFile,
+        days: config.tls.validityDays
+    }, (error, fingerprint) => {
+        if (error) {
+            console.error(`❌ Failed to generate certificate: ${error.message}`);
+            process.exit(1);
+        }
+        console.log(`✅ Self-signed certificate written to ${config.tls.certFile}`);
+        console.log(`   Private key written to ${config.tls.keyFile}`);
+        console.log(`   SHA-256 fingerprint (pin this in the client): ${fingerprint}`);
+        process.exit(0);
+    });
 }
 
-function isLogMessage(logData) {
-    return 'log' in logData.type;
+// Only the fingerprint on stdout, for the deploy scripts to build the app with
+function runCertFingerprintCommand() {
+    if (!hasCertificate(config.tls)) {
+        console.error(`❌ No certificate at ${config.tls.certFile} - run \`node mac-server.js generate-cert\` first`);
+        process.exit(1);
+    }
+    console.log(certificateFingerprint(config.tls.certFile));
 }
 
-function handleUnknownMessage(logData) {
-    console.error('Unknown message type:', logData.type);
+function runDevicesCommand([action, deviceId]) {
+    if (action === 'list') {
+        const devices = deviceRegistry.list();
+        if (devices.length === 0) {
+            console.log('No paired devices');
+        }
+        devices.forEach(d => {
+            console.log(`${d.id}  ${d.name}  paired ${d.pairedAt}  last seen ${d.lastSeenAt || 'never'}`);
+        });
+        process.exit(0);
+    } else if (action === 'revoke' && deviceId) {
+        if (deviceRegistry.revoke(deviceId)) {
+            console.log(`✅ Revoked device ${deviceId}`);
+            process.exit(0);
+        }
+        console.error(`❌ No paired device with id ${deviceId}`);
+        process.exit(1);
+    } else {
+        console.error('Usage: node mac-server.js devices list | devices revoke <deviceId>');
+        process.exit(1);
+    }
 }
 
-function handleStartMessage(socket) {
-    createNewSession();
-    const stats = gatherSessionStatistics();
-    sendHandshakeResponse(socket, stats);
-    logHandshakeDetails(stats);
+function readApiKey() {
+    if (!fs.existsSync(config.secretsFile)) {
+        console.error(`⚠️ No API key file at ${config.secretsFile} - client credentials can only come from an upstream that needs no key`);
+        return '';
+    }
+    return fs.readFileSync(config.secretsFile, 'utf8').trim();
 }
 
-function findLatestConversationFile(dir) {
-    try {
-        console.log(`🔎 Checking for conversation files in: ${dir}`);
+// start and prompt must carry a device token; everything else is accepted on a
+// connection whose start was authorized, as long as its device is still paired
+function isAuthorized(connection, logData) {
+    if (!config.pairing.required) return true;
 
-        if (!fs.existsSync(dir)) {
-            console.log(`📁 Directory doesn't exist: ${dir}`);
-            return null;
+    if (isStartMessage(logData) || isPromptMessage(logData)) {
+        const device = deviceRegistry.verify(logData.deviceToken);
+        if (!device) {
+            authenticatedDevices.delete(connection);
+            return false;
         }
+        authenticatedDevices.set(connection, device.id);
+        return true;
+    }
 
-        const files = fs.readdirSync(dir)
-            .filter(f => f.endsWith('.jsonl'))
-            .map(f => ({
-                name: f,
-                path: path.join(dir, f),
-                mtime: fs.statSync(path.join(dir, f)).mtime
-            }))
-            .sort((a, b) => b.mtime - a.mtime);
-
-        if (files.length === 0) {
-            console.log(`❌ No conversation files found in: ${dir}`);
-            return null;
-        }
+    const deviceId = authenticatedDevices.get(connection);
+    if (deviceId === undefined) return false;
+    if (deviceRegistry.isPaired(deviceId)) return true;
 
-        const latestFile = files[0];
-        const modTime = new Date(latestFile.mtime).toLocaleString();
-        console.log(`✅ Found latest conversation: ${latestFile.name} (modified: ${modTime})`);
-        return latestFile.path;
-    } catch (e) {
-        console.error(`❌ Error finding conversation file in ${dir}:`, e.message);
-        return null;
+    authenticatedDevices.delete(connection);
+    revokedConnections.add(connection);
+    return false;
+}
+
+function rejectUnauthorized(connection, logData) {
+    if (revokedConnections.has(connection)) {
+        // A revoked device loses control right away, not only at its next start
+        console.error(`🚫 Rejected ${messageKind(logData)} message: device was revoked - closing the connection`);
+        sendAuthError(connection, 'invalid_device_token', logData);
+        connection.close();
+        return;
     }
+
+    const hasToken = typeof logData.deviceToken === 'string';
+    console.error(`🚫 Rejected ${messageKind(logData)} message: ${hasToken ? 'invalid or revoked device token' : 'no device token'}`);
+    sendAuthError(connection, hasToken ? 'invalid_device_token' : 'device_token_required', logData);
+}
+
+function sendAuthError(connection, code, logData) {
+    const messages = {
+        invalid_device_token: 'Device token is invalid or has been revoked - pair again',
+        device_token_required: 'This server requires a paired device - send a pair message with the code shown on the Mac',
+        invalid_pairing_code: 'Pairing code is wrong or expired',
+        pairing_locked: 'Too many wrong pairing codes - try again later'
+    };
+
+    connection.send({
+        type: 'auth_error',
+        code: code,
+        message: messages[code],
+        rejectedType: messageKind(logData),
+        rejectedId: logData.id
+    });
+}
+
+function handlePairMessage(connection, logData) {
+    const { paired, retryAfterMs } = pairingCodes.consume(logData.code, connection.remoteAddress);
+    if (retryAfterMs > 0) {
+        // A client that keeps guessing is cut off instead of being answered forever
+        console.error(`🚫 Pairing locked for ${connection.remoteAddress} for another ${Math.ceil(retryAfterMs / 1000)}s - closing the connection`);
+        sendAuthError(connection, 'pairing_locked', logData);
+        connection.close();
+        return;
+    }
+    if (!paired) {
+        console.error('🚫 Pairing attempt with a wrong or expired code');
+        sendAuthError(connection, 'invalid_pairing_code', logData);
+        return;
+    }
+
+    const { device, token } = deviceRegistry.add(logData.deviceName);
+    console.log(`🔐 Paired device ${device.id} (${device.name})`);
+
+    connection.send({
+        type: 'paired',
+        deviceId: device.id,
+        deviceToken: token
+    });
+}
+
+function isStartMessage(logData) {
+    return logData.type === 'start';
+}
+
+function isPromptMessage(logData) {
+    return logData.type === 'prompt';
+}
+
+function handleStartMessage(connection, logData) {
+    const protocolVersion = negotiateVersion(logData.protocolVersions);
+    if (!protocolVersion) {
+        console.error(`❌ Client speaks protocol versions ${logData.protocolVersions.join(', ')}, server supports ${SUPPORTED_VERSIONS.join(', ')}`);
+        connection.send(protocolError('unsupported_version', `Server supports protocol versions ${SUPPORTED_VERSIONS.join(', ')}`, logData));
+        return;
+    }
+
+    const session = {
+        resumed: resumeOrCreateSession(logData.resumeToken),
+        resumeToken: sessionResumer.issue(currentSessionNumber),
+        lastAckedLogId: lastLoggedId
+    };
+    const stats = gatherSessionStatistics();
+    stopCredentialRefresh(connection);
+
+    tokenProvider.issue((error, credentials) => {
+        if (error) {
+            console.error(`❌ Failed to issue client credentials: ${error.message}`);
+        }
+
+        sendHandshakeResponse(connection, stats, session, protocolVersion, credentials, error);
+        logHandshakeDetails(stats, session, credentials);
+        activeConnection = connection;
+        narrationFeed.attach(connection, logData.lastNarrationSeq);
+        targets.forEach(target => target.queue.pending().forEach(entry => sendQueueStatus(target, entry)));
+
+        if (credentials) {
+            startCredentialRefresh(connection, credentials);
+        }
+    });
 }
 
+function startCredentialRefresh(connection, credentials) {
+    const refresher = tokenProvider.keepFresh(credentials, (error, freshCredentials) => {
+        if (error) return;
+        sendCredentials(connection, freshCredentials);
+        console.log(`🔑 Refreshed client credentials, valid until ${new Date(freshCredentials.expiresAt).toLocaleString()}`);
+    });
+    credentialRefreshers.set(connection, refresher);
+}
 
-function handlePromptMessage(socket, logData) {
+function stopCredentialRefresh(connection) {
+    const refresher = credentialRefreshers.get(connection);
+    if (refresher) {
+        refresher.stop();
+        credentialRefreshers.delete(connection);
+    }
+}
+
+function handlePromptMessage(connection, logData) {
     const { prompt, category, timestamp } = logData;
     console.log(`\n📨 Received prompt from iOS app:`);
     console.log(`   Category: ${category}`);
     console.log(`   Prompt: "${prompt}"`);
     console.log(`   Timestamp: ${new Date(timestamp * 1000).toLocaleString()}`);
 
-    // Clean the prompt - remove quotation marks and escape backslashes
-    const cleanedPrompt = prompt
-        .replace(/["']/g, '')  // Remove quotes
-        .replace(/\\/g, '\\\\');  // Escape backslashes for AppleScript
-    console.log(`🧹 Cleaned prompt: "${cleanedPrompt}"`);
-
-    // Use Terminal automation (macOS 26 enhanced method)
-    console.log('\n🚀 Attempting Terminal automation (macOS 26 enhanced method)...');
-    injectIntoTerminal(cleanedPrompt, (terminalSuccess, terminalError) => {
-        if (terminalSuccess) {
-            console.log('✅ Terminal automation executed successfully!');
-            console.log('🔍 Verifying prompt in conversation file...');
-
-            // Wait and verify the prompt actually appears in the conversation
-            // Use the Documents directory where Claude is currently running
-            const conversationDir = '/Users/felixlunzenfichter/.claude/projects/-Users-felixlunzenfichter-Documents';
-            const convFile = findLatestConversationFile(conversationDir);
-
-            if (!convFile) {
-                console.log(`❌ No conversation file found for verification of prompt: '${cleanedPrompt}'`);
-                sendFailureAck(`Failed to inject prompt: '${cleanedPrompt}' - No conversation file found`);
-                return;
-            }
-
-            // Wait 2 seconds then verify
-            setTimeout(() => {
-                try {
-                    const fileContent = fs.readFileSync(convFile, 'utf8');
-                    const lines = fileContent.split('\n').filter(line => line.trim());
-                    const lastLines = lines.slice(-50);
-
-                    let foundInConversation = false;
-                    for (const line of lastLines) {
-                        try {
-                            const json = JSON.parse(line);
-                            if (json.message && json.message.content) {
-                                const contentStr = JSON.stringify(json.message.content);
-
-                                if (contentStr.includes(cleanedPrompt)) {
-                                    foundInConversation = true;
-                                    console.log('✅ Verified: Prompt found in conversation!');
-                                    break;
-                                }
-                            }
-                        } catch (e) {
-                            // Ignore JSON parse errors
-                        }
-                    }
-
-                    if (foundInConversation) {
-                        // Send success acknowledgment
-                        const ackMessage = {
-                            type: 'prompt_ack',
-                            status: 'success',
-                            method: 'terminal_automation',
-                            originalPrompt: prompt,
-                            timestamp: Date.now()
-                        };
-
-                        const jsonData = JSON.stringify(ackMessage) + '\n';
-                        socket.write(jsonData);
-
-                        console.log('📤 Sent success acknowledgment to iOS app');
-                        console.log('🎉 Prompt successfully injected via Terminal automation!');
-                    } else {
-                        console.log(`❌ Terminal automation executed but prompt not found in conversation: '${cleanedPrompt}'`);
-                        sendFailureAck(`Failed to inject prompt: '${cleanedPrompt}' - Prompt not found in conversation after Terminal automation`);
-                    }
-                } catch (error) {
-                    console.error(`❌ Error verifying Terminal automation for prompt: '${cleanedPrompt}'`, error.message);
-                    sendFailureAck(`Failed to inject prompt: '${cleanedPrompt}' - Verification error: ${error.message}`);
-                }
-            }, 2000);
-        } else {
-            console.log(`❌ Terminal automation failed for prompt: '${cleanedPrompt}' - Error: ${terminalError}`);
-            sendFailureAck(`Failed to inject prompt: '${cleanedPrompt}' - Terminal automation failed: ${terminalError}`);
-        }
-    });
+    if (!isVerifiablePrompt(prompt)) {
+        console.log('❌ Prompt is only whitespace - rejected');
+        connection.send({
+            type: 'prompt_ack',
+            status: 'error',
+            error: 'Prompt is empty',
+            originalPrompt: prompt,
+            timestamp: Date.now()
+        });
+        return;
+    }
 
-    // Helper function to send failure acknowledgment
-    function sendFailureAck(errorMessage) {
-        const ackMessage = {
+    const target = routeTarget(targets, { target: logData.target, category });
+    if (!target) {
+        console.log(`❌ Unknown target "${logData.target}" - prompt rejected`);
+        connection.send({
             type: 'prompt_ack',
             status: 'error',
-            error: errorMessage,
+            error: `Unknown target: ${logData.target}. Available targets: ${targets.map(t => t.name).join(', ')}`,
             originalPrompt: prompt,
             timestamp: Date.now()
-        };
+        });
+        return;
+    }
 
-        const jsonData = JSON.stringify(ackMessage) + '\n';
-        socket.write(jsonData);
+    const { entry, duplicate } = target.queue.enqueue({ prompt, category, timestamp, clientId: logData.id });
+    promptOrigins.set(entry.id, connection);
 
-        console.log('📤 Sent failure acknowledgment to iOS app');
-        console.error('❌ Failed to inject prompt:', errorMessage);
+    if (duplicate) {
+        console.log(`♻️ Duplicate of prompt ${entry.id} (${entry.state}) - not queued again`);
+        sendQueueStatus(target, entry);
+        resendFinalAck(target, entry);
+    } else {
+        console.log(`📥 Queued prompt ${entry.id} for "${target.name}" at position ${target.queue.positionOf(entry)}`);
     }
 }
 
-function createNewSession() {
-    currentSessionNumber = getSessionCount() + 1;
-    currentSessionFile = path.join(logsDir, `${currentSessionNumber}.json`);
-    fs.writeFileSync(currentSessionFile, '');
+// interrupt, approve, deny and select_option become key presses for Claude
+function handleControlMessage(connection, message) {
+    const command = message.type;
+    const option = command === 'select_option' ? ` ${message.option}` : '';
+    console.log(`\n🎛️ Received ${command}${option} from iOS app${message.toolUseId ? ` for ${message.toolUseId}` : ''}`);
+
+    const target = routeTarget(targets, { target: message.target });
+    if (!target) {
+        sendControlAck(connection, message, false, `Unknown target: ${message.target}`);
+        return;
+    }
+
+    target.deliveryBackend.sendControl(command, message.option, (success, error) => {
+        if (success) {
+            console.log(`✅ ${command} sent to "${target.name}" via ${target.deliveryBackend.name} backend`);
+            // An interrupted turn never ends with a stop_reason, so the queue is told directly
+            if (command === 'interrupt') {
+                target.queue.noteClaudeActivity('turn_done');
+            }
+        } else {
+            console.log(`❌ ${command} failed via ${target.deliveryBackend.name} backend: ${error}`);
+        }
+        sendControlAck(connection, message, success, error);
+    });
 }
 
-function gatherSessionStatistics() {
-    const uptimeStats = computeUptimeStats();
-    const totalLogs = countAllLogs();
+function sendControlAck(connection, message, success, error) {
+    if (!connection.isOpen()) return;
 
-    return {
-        sessionNumber: currentSessionNumber,
-        totalUptime: uptimeStats.totalUptime,
-        todayUptime: uptimeStats.todayUptime,
-        totalLogs: totalLogs
-    };
+    connection.send({
+        type: 'control_ack',
+        command: message.type,
+        status: success ? 'success' : 'error',
+        inReplyTo: replyId(message),
+        error: success ? undefined : error
+    });
 }
 
-function computeUptimeStats() {
-    const files = getAllSessionFiles();
+function handleListConversationsMessage(connection, message) {
+    const target = historyTarget(connection, message);
+    if (!target) return;
+
+    const conversations = target.history.list(message.limit || 20);
+    console.log(`📚 Listing ${conversations.length} conversation(s) of "${target.name}"`);
+    connection.send({
+        type: 'conversation_list',
+        inReplyTo: replyId(message),
+        target: target.name,
+        conversations: conversations
+    });
+}
 
-    if (noSessionsExist(files)) {
-        return { totalUptime: 0, todayUptime: 0 };
+function handleGetTranscriptMessage(connection, message) {
+    const target = historyTarget(connection, message);
+    if (!target) return;
+
+    const transcript = target.history.transcript(message.conversationId, message.offset || 0, message.limit || 50);
+    if (!transcript) {
+        sendUnknownConversation(connection, message, target);
+        return;
     }
 
-    const today = getMidnightToday();
-    let totalUptime = 0;
-    let todayUptime = 0;
+    console.log(`📜 Sending messages ${transcript.offset}-${transcript.offset + transcript.messages.length} of ${transcript.total} from conversation ${message.conversationId}`);
+    connection.send({ type: 'transcript', inReplyTo: replyId(message), target: target.name, ...transcript });
+}
+
+function handleSearchConversationsMessage(connection, message) {
+    const target = historyTarget(connection, message);
+    if (!target) return;
+
+    const results = target.history.search(message.query, message.limit || 20);
+    console.log(`🔎 Search for ${JSON.stringify(message.query)} in "${target.name}" found ${results.length} message(s)`);
+    connection.send({
+        type: 'search_results',
+        inReplyTo: replyId(message),
+        target: target.name,
+        query: message.query,
+        results: results
+    });
+}
 
-    files.forEach(file => {
-        const sessionUptime = calculateSessionUptime(file);
-        totalUptime += sessionUptime.duration;
+// Switches the target's Claude session to an earlier conversation. Like the control
+// commands this goes straight to the backend, not through the prompt queue.
+function handleResumeConversationMessage(connection, message) {
+    const target = historyTarget(connection, message);
+    if (!target) return;
 
-        if (isSessionFromToday(sessionUptime.startTime, today)) {
-            todayUptime += sessionUptime.duration;
+    if (!target.history.exists(message.conversationId)) {
+        sendUnknownConversation(connection, message, target);
+        return;
+    }
+
+    console.log(`\n⏪ Resuming conversation ${message.conversationId} in "${target.name}" via ${target.deliveryBackend.name} backend`);
+    target.deliveryBackend.resume(message.conversationId, (success, error) => {
+        if (success) {
+            console.log(`✅ Resumed conversation ${message.conversationId}`);
+        } else {
+            console.log(`❌ Failed to resume conversation ${message.conversationId}: ${error}`);
         }
-    });
 
-    return {
-        totalUptime: Math.floor(totalUptime),
-        todayUptime: Math.floor(todayUptime)
-    };
+        if (!connection.isOpen()) return;
+        connection.send({
+            type: 'resume_ack',
+            inReplyTo: replyId(message),
+            target: target.name,
+            conversationId: message.conversationId,
+            status: success ? 'success' : 'error',
+            error: success ? undefined : error
+        });
+    });
 }
 
-function noSessionsExist(files) {
-    return files.length === 0;
+function historyTarget(connection, message) {
+    const target = routeTarget(targets, { target: message.target });
+    if (!target) {
+        connection.send({
+            type: 'history_error',
+            inReplyTo: replyId(message),
+            code: 'unknown_target',
+            message: `Unknown target: ${message.target}`
+        });
+    }
+    return target;
 }
 
-function getMidnightToday() {
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    return today;
+function sendUnknownConversation(connection, message, target) {
+    connection.send({
+        type: 'history_error',
+        inReplyTo: replyId(message),
+        code: 'unknown_conversation',
+        message: `No conversation ${message.conversationId} in target "${target.name}"`
+    });
 }
 
-function calculateSessionUptime(file) {
-    const filePath = path.join(logsDir, file);
-    const content = fs.readFileSync(filePath, 'utf8');
-    const lines = content.split('\n').filter(line => line.trim());
+function replyId(message) {
+    return typeof message.id === 'string' ? message.id : null;
+}
 
-    if (sessionHasNoLogs(lines)) {
-        return { duration: 0, startTime: new Date() };
+// Replies about a prompt go to the connection that sent it, or to the current client
+// if that connection is gone (e.g. after a reconnect)
+function sendToPromptClient(entry, message) {
+    const origin = promptOrigins.get(entry.id);
+    const target = origin && origin.isOpen() ? origin : activeConnection;
+    if (target && target.isOpen()) {
+        target.send(message);
     }
+}
 
-    const firstLog = JSON.parse(lines[0]);
-    const lastLog = JSON.parse(lines[lines.length - 1]);
+function handleQueueChange(target, entry) {
+    sendQueueStatus(target, entry);
 
-    const startTime = new Date(firstLog.timestamp);
-    const endTime = new Date(lastLog.timestamp);
-    const duration = endTime - startTime;
+    if (entry.state === 'failed') {
+        sendFailureAck(target, entry, `Failed to inject prompt: '${entry.prompt}' - ${entry.lastError} (gave up after ${entry.attempts} attempts)`);
+    }
+    if (entry.state === 'done' || entry.state === 'failed') {
+        promptOrigins.delete(entry.id);
+    }
+}
 
-    return { duration, startTime };
+function sendQueueStatus(target, entry) {
+    sendToPromptClient(entry, {
+        type: 'queue_status',
+        promptId: entry.id,
+        target: target.name,
+        state: entry.state,
+        position: target.queue.positionOf(entry),
+        queueLength: target.queue.pending().length,
+        attempts: entry.attempts,
+        nextAttemptAt: entry.nextAttemptAt || undefined,
+        error: entry.lastError || undefined,
+        originalPrompt: entry.prompt
+    });
 }
 
-function sessionHasNoLogs(lines) {
-    return lines.length === 0;
+function resendFinalAck(target, entry) {
+    if (entry.state === 'in_progress' || entry.state === 'done') {
+        sendSuccessAck(target, entry);
+    } else if (entry.state === 'failed') {
+        sendFailureAck(target, entry, `Failed to inject prompt: '${entry.prompt}' - ${entry.lastError}`);
+    }
 }
 
-function isSessionFromToday(sessionStartTime, today) {
-    return sessionStartTime >= today;
+function deliverQueuedPrompt(target, entry, callback) {
+    const { deliveryBackend, conversationDir } = target;
+    const prompt = entry.prompt;
+    console.log(`\n📤 Delivering prompt ${entry.id} to "${target.name}" (attempt ${entry.attempts}/${config.queue.maxAttempts})`);
+
+    // Verification starts before delivery so no conversation line is missed, but its
+    // states are only reported once the backend confirmed delivery
+    let delivered = false;
+    const heldStates = [];
+
+    console.log('🔍 Watching conversation files for the prompt...');
+    const verification = startPromptVerification({
+        conversationDir,
+        prompt: prompt,
+        deadlineMs: verificationDeadlineMs
+    }, (state, details) => {
+        if (delivered) {
+            handleVerificationState(state, details);
+        } else {
+            heldStates.push([state, details]);
+        }
+    });
+
+    console.log(`\n🚀 Attempting prompt delivery via ${deliveryBackend.name} backend...`);
+    deliveryBackend.deliver(prompt, (deliverySuccess, deliveryError) => {
+        if (deliverySuccess) {
+            console.log(`✅ Prompt delivered via ${deliveryBackend.name} backend!`);
+            delivered = true;
+            sendProgressAck(target, entry, 'delivered');
+            heldStates.forEach(([state, details]) => handleVerificationState(state, details));
+        } else {
+            verification.cancel();
+            console.log(`❌ ${deliveryBackend.name} delivery failed for prompt: ${JSON.stringify(prompt)} - Error: ${deliveryError}`);
+            callback(new Error(`${deliveryBackend.name} delivery failed: ${deliveryError}`));
+        }
+    });
+
+    function handleVerificationState(state, details) {
+        if (state === 'seen_by_claude') {
+            console.log(`✅ Verified: Prompt found in conversation ${details.conversationId}!`);
+            if (!details.exactMatch) {
+                console.log(`⚠️ Claude received different text: ${JSON.stringify(details.receivedText)}`);
+            }
+            entry.conversationId = details.conversationId;
+            entry.exactMatch = details.exactMatch;
+            sendSuccessAck(target, entry);
+            console.log(`🎉 Prompt successfully injected via ${deliveryBackend.name} backend!`);
+            callback(null);
+        } else if (state === 'claude_responding') {
+            console.log('💬 Claude started responding to the prompt');
+            sendProgressAck(target, entry, 'claude_responding', details.conversationId);
+        } else if (state === 'timeout') {
+            console.log(`❌ Prompt not found in conversation within ${verificationDeadlineMs}ms: ${JSON.stringify(prompt)}`);
+            callback(new Error(`Prompt not found in conversation within ${verificationDeadlineMs}ms after ${deliveryBackend.name} delivery`));
+        }
+    }
+}
+
+function sendProgressAck(target, entry, state, conversationId) {
+    sendToPromptClient(entry, {
+        type: 'prompt_ack',
+        promptId: entry.id,
+        target: target.name,
+        status: 'progress',
+        state: state,
+        conversationId: conversationId,
+        originalPrompt: entry.prompt,
+        timestamp: Date.now()
+    });
+    console.log(`📤 Sent ${state} acknowledgment to iOS app`);
 }
 
-function countAllLogs() {
-    let totalLogs = 0;
+function sendSuccessAck(target, entry) {
+    sendToPromptClient(entry, {
+        type: 'prompt_ack',
+        promptId: entry.id,
+        target: target.name,
+        status: 'success',
+        state: 'seen_by_claude',
+        method: target.deliveryBackend.method,
+        conversationId: entry.conversationId,
+        exactMatch: entry.exactMatch,
+        originalPrompt: entry.prompt,
+        timestamp: Date.now()
+    });
+    console.log('📤 Sent success acknowledgment to iOS app');
+}
 
-    getAllSessionFiles().forEach(file => {
-        const content = fs.readFileSync(path.join(logsDir, file), 'utf8');
-        totalLogs += countLinesInContent(content);
+function sendFailureAck(target, entry, errorMessage) {
+    sendToPromptClient(entry, {
+        type: 'prompt_ack',
+        promptId: entry.id,
+        target: target.name,
+        status: 'error',
+        error: errorMessage,
+        originalPrompt: entry.prompt,
+        timestamp: Date.now()
     });
 
-    return totalLogs;
+    console.log('📤 Sent failure acknowledgment to iOS app');
+    console.error('❌ Failed to inject prompt:', errorMessage);
 }
 
-function getAllSessionFiles() {
-    return fs.readdirSync(logsDir).filter(f => f.endsWith('.json'));
+// A start with a valid resume token carries on with that session; true if it did
+function resumeOrCreateSession(resumeToken) {
+    if (resumeToken) {
+        const { sessionNumber, reason } = sessionResumer.resume(resumeToken);
+        if (sessionNumber !== null) {
+            resumeSession(sessionNumber);
+            return true;
+        }
+        console.log(`🆕 Cannot resume: ${reason} - starting a new session`);
+    }
+    createNewSession();
+    return false;
+}
+
+// Logs keep going to the same file and count toward the same stats; the ids already
+// written are read back so resent logs are recognised
+function resumeSession(sessionNumber) {
+    currentSessionNumber = sessionNumber;
+    currentSessionFile = logStore.sessionPath(sessionNumber);
+    const ids = (logStore.readSession(sessionNumber) || '').split('\n')
+        .filter(line => line.trim())
+        .flatMap(line => {
+            try {
+                return [JSON.parse(line).id];
+            } catch (error) {
+                return [];
+            }
+        });
+    currentSessionLogIds = new Set(ids);
+    lastLoggedId = ids.length > 0 ? ids[ids.length - 1] : null;
+}
+
+function createNewSession() {
+    currentSessionNumber = logStore.nextSessionNumber();
+    currentSessionFile = logStore.sessionPath(currentSessionNumber);
+    currentSessionLogIds = new Set();
+    lastLoggedId = null;
+    fs.writeFileSync(currentSessionFile, '');
+    statsIndex.sessionStarted(currentSessionNumber);
+    runLogMaintenance();
+    if (dashboard) {
+        dashboard.sessionStarted(currentSessionNumber);
+    }
 }
 
-function countLinesInContent(content) {
-    return content.split('\n').filter(line => line.trim()).length;
+// Compresses and prunes old sessions; the stats index follows what is left on disk
+function runLogMaintenance() {
+    const report = logStore.maintain(currentSessionNumber);
+    if (report.compressed.length > 0) {
+        console.log(`🗜️ Compressed session logs: ${report.compressed.join(', ')}`);
+    }
+    if (report.deleted.length > 0) {
+        console.log(`🧹 Deleted session logs past retention: ${report.deleted.join(', ')}`);
+        statsIndex.reconcile();
+    }
 }
 
-function sendHandshakeResponse(socket, stats) {
-    const apiKey = fs.readFileSync(path.join('private', 'secrets.txt'), 'utf8').trim();
+function gatherSessionStatistics() {
+    const summary = statsIndex.summary();
+
+    return {
+        sessionNumber: currentSessionNumber,
+        totalUptime: summary.totalUptime,
+        todayUptime: summary.todayUptime,
+        totalLogs: summary.totalLogs
+    };
+}
 
-    const handshakeResponse = JSON.stringify({
+function sendHandshakeResponse(connection, stats, session, protocolVersion, credentials, credentialsError) {
+    connection.send({
         type: 'handshake',
+        protocolVersion: protocolVersion,
         sessionNumber: stats.sessionNumber,
         totalUptime: stats.totalUptime,
         todayUptime: stats.todayUptime,
         totalLogs: stats.totalLogs,
-        apiKey: apiKey
-    }) + '\n';
+        clientSecret: credentials ? credentials.clientSecret : undefined,
+        clientSecretExpiresAt: credentials ? credentials.expiresAt : undefined,
+        credentialsError: credentialsError ? credentialsError.message : undefined,
+        resumeToken: session.resumeToken,
+        resumed: session.resumed,
+        lastAckedLogId: session.lastAckedLogId,
+        targets: targets.map(target => ({
+            name: target.name,
+            categories: target.categories,
+            backend: target.deliveryBackend.name
+        })),
+        defaultTarget: targets[0].name
+    });
+}
 
-    socket.write(handshakeResponse);
+function sendCredentials(connection, credentials) {
+    connection.send({
+        type: 'credentials',
+        clientSecret: credentials.clientSecret,
+        clientSecretExpiresAt: credentials.expiresAt
+    });
 }
 
-function logHandshakeDetails(stats) {
+function logHandshakeDetails(stats, session, credentials) {
     console.log('Sent handshake with session number:', stats.sessionNumber);
+    if (session.resumed) {
+        console.log(`🔁 Resumed session ${stats.sessionNumber}, last acknowledged log: ${session.lastAckedLogId || 'none'}`);
+    }
+    if (credentials) {
+        console.log(`🔑 Client credentials valid until ${new Date(credentials.expiresAt).toLocaleString()}`);
+    }
     console.log('Included stats - Total:', stats.totalUptime + 'ms, Today:', stats.todayUptime + 'ms, Logs:', stats.totalLogs);
 }
 
-function handleLogMessage(socket, logData) {
-    console.log('Received log:', logData.message);
-    persistLogToFile(logData);
-    confirmLogReception(socket, logData.id);
+function handleLogMessage(connection, logData) {
+    if (!isDuplicateLog(logData)) {
+        console.log('Received log:', logData.message);
+        persistLogToFile(logData);
+    }
+    confirmLogReception(connection, logData.id);
 }
 
-function handleErrorMessage(socket, logData) {
-    reportErrorToConsole(logData);
-    persistLogToFile(logData);
-    confirmLogReception(socket, logData.id);
+function handleErrorMessage(connection, logData) {
+    if (!isDuplicateLog(logData)) {
+        reportErrorToConsole(logData);
+        persistLogToFile(logData);
+    }
+    confirmLogReception(connection, logData.id);
+}
+
+// A log resent after a reconnect is acknowledged again but written only once
+function isDuplicateLog(logData) {
+    if (!currentSessionLogIds.has(logData.id)) return false;
+    console.log(`♻️ Log ${logData.id} is already in session ${currentSessionNumber} - dropping the duplicate`);
+    return true;
 }
 
 function reportErrorToConsole(logData) {
@@ -387,13 +1149,8 @@ function persistLogToFile(logData) {
     writeLogToFile(logData);
 }
 
-function confirmLogReception(socket, logId) {
-    sendAcknowledgment(socket, logId);
-}
-
-function getSessionCount() {
-    const files = fs.readdirSync(logsDir);
-    return files.filter(f => f.endsWith('.json')).length;
+function confirmLogReception(connection, logId) {
+    sendAcknowledgment(connection, logId);
 }
 
 function writeLogToFile(logData) {
@@ -401,76 +1158,20 @@ function writeLogToFile(logData) {
         console.error('No active session file!');
         return;
     }
-    fs.appendFileSync(currentSessionFile, JSON.stringify(logData) + '\n');
+    const line = JSON.stringify(logData) + '\n';
+    fs.appendFileSync(currentSessionFile, line);
+    currentSessionLogIds.add(logData.id);
+    lastLoggedId = logData.id;
+    statsIndex.logWritten(currentSessionNumber, logData, Buffer.byteLength(line));
+    if (dashboard) {
+        dashboard.logReceived(currentSessionNumber, logData);
+    }
 }
 
-function sendAcknowledgment(socket, logId) {
-    const ackMessage = JSON.stringify({
+function sendAcknowledgment(connection, logId) {
+    connection.send({
         type: 'ack',
         logId: logId
-    }) + '\n';
-
-    socket.write(ackMessage);
+    });
 }
 
-
-function injectIntoTerminal(prompt, callback) {
-    // No escaping needed - prompt is already cleaned and escaped
-    const escapedPrompt = prompt;
-
-    console.log(`🔤 Injecting prompt into Terminal: "${escapedPrompt}"`);
-
-    // Enhanced AppleScript for macOS 26 Tahoe - using heredoc for safety
-    const appleScriptCommand = `osascript <<'EOF'
-        -- First activate Terminal to bring it to front
-        tell application "Terminal"
-            activate
-        end tell
-
-        -- Short delay to ensure activation
-        delay 0.2
-
-        -- Use System Events for extra reliability
-        tell application "System Events"
-            tell process "Terminal"
-                set frontmost to true
-
-                -- Perform AXRaise action for additional window raising
-                try
-                    perform action "AXRaise" of window 1
-                end try
-
-                -- Now send keystrokes
-                keystroke "${escapedPrompt}"
-
-                -- Wait 1 second before pressing enter
-                delay 1
-
-                keystroke return
-
-                return "success: Typed into Terminal (macOS 26 enhanced method)"
-            end tell
-        end tell
-EOF`;
-
-    console.log('🍎 Executing enhanced AppleScript for macOS 26 Tahoe...');
-
-    // Execute the AppleScript using heredoc
-    exec(appleScriptCommand, (error, stdout, stderr) => {
-        console.log('📝 AppleScript result:');
-        if (error) {
-            console.log(`   Error: ${error.message}`);
-            console.log(`   Note: Ensure Terminal has Accessibility permissions in System Settings`);
-            callback(false, `AppleScript error: ${error.message}`);
-        } else if (stderr) {
-            console.log(`   Stderr: ${stderr}`);
-            callback(false, `AppleScript stderr: ${stderr}`);
-        } else if (stdout.includes('error:')) {
-            console.log(`   Output: ${stdout.trim()}`);
-            callback(false, stdout.trim());
-        } else {
-            console.log(`   Success: ${stdout.trim()}`);
-            callback(true);
-        }
-    });
-}
\ No newline at end of file
@@ -0,0 +1,199 @@
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { loadConfig } = require('./server/config');
+const { createLogStore } = require('./server/log-store');
+const {
+    DEFAULT_MILESTONES,
+    parseSessionRanges,
+    parseTime,
+    createLogFilter,
+    querySessions,
+    milestoneLatencies,
+    formatStep,
+    toJsonl,
+    toCsv,
+    toHtmlTimeline
+} = require('./server/log-query');
+
+const USAGE = `Usage: node query-logs.js [export|latency] [options]
+
+  export (default)     print the matching logs
+  latency              print per-session latencies between milestones
+
+Filters:
+  --sessions <ranges>  e.g. 5, 3-7, 10-, -4 or 1,3-5
+  --since <time>       ISO date, or relative like 30m, 2h, 7d
+  --until <time>
+  --type <log|error>
+  --file <text>        fileName contains text
+  --function <text>    functionName contains text
+  --match <regex>      message matches regex (-i to ignore case)
+
+Output:
+  --format <format>    export: jsonl (default), csv, html
+                       latency: text (default), jsonl, csv
+  --output <file>      write to a file instead of stdout
+  --milestone <name=message>
+                       replaces the default milestones, repeat for each one in order
+
+Storage:
+  --config <file>, --logs-dir <dir>`;
+
+const EXPORT_FORMATS = ['jsonl', 'csv', 'html'];
+const LATENCY_FORMATS = ['text', 'jsonl', 'csv'];
+
+function main() {
+    let options;
+    try {
+        options = parseOptions(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}\n   Run with --help for usage`);
+        process.exit(1);
+    }
+
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    let config;
+    try {
+        config = loadConfig(options.configFile ? ['--config', options.configFile] : []);
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+
+    const logStore = createLogStore({
+        logsDir: options.logsDir || config.logsDir,
+        counterFile: config.logs.counterFile,
+        keepUncompressed: config.logs.keepUncompressed,
+        retention: config.logs.retention
+    });
+
+    const output = options.command === 'latency'
+        ? latencyReport(logStore, options)
+        : exportLogs(logStore, options);
+
+    if (options.output) {
+        fs.writeFileSync(options.output, output);
+        console.error(`✅ Wrote ${options.output}`);
+    } else {
+        process.stdout.write(output);
+    }
+}
+
+function parseOptions(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            sessions: { type: 'string' },
+            since: { type: 'string' },
+            until: { type: 'string' },
+            type: { type: 'string' },
+            file: { type: 'string' },
+            function: { type: 'string' },
+            match: { type: 'string' },
+            'ignore-case': { type: 'boolean', short: 'i' },
+            format: { type: 'string' },
+            output: { type: 'string' },
+            milestone: { type: 'string', multiple: true },
+            config: { type: 'string' },
+            'logs-dir': { type: 'string' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+
+    const command = positionals[0] || 'export';
+    if (!['export', 'latency'].includes(command) || positionals.length > 1) {
+        throw new Error(`Unknown command: ${positionals.join(' ')}`);
+    }
+
+    const formats = command === 'latency' ? LATENCY_FORMATS : EXPORT_FORMATS;
+    const format = values.format || formats[0];
+    if (!formats.includes(format)) {
+        throw new Error(`${command} supports --format ${formats.join(', ')}`);
+    }
+    if (values.type && !['log', 'error'].includes(values.type)) {
+        throw new Error('--type must be log or error');
+    }
+
+    let pattern;
+    if (values.match) {
+        try {
+            pattern = new RegExp(values.match, values['ignore-case'] ? 'i' : '');
+        } catch (error) {
+            throw new Error(`Invalid --match regex: ${error.message}`);
+        }
+    }
+
+    return {
+        command,
+        format,
+        help: values.help,
+        output: values.output,
+        configFile: values.config,
+        logsDir: values['logs-dir'],
+        milestones: values.milestone ? parseMilestones(values.milestone) : DEFAULT_MILESTONES,
+        filters: {
+            sessions: values.sessions ? parseSessionRanges(values.sessions) : undefined,
+            since: values.since ? parseTime(values.since) : undefined,
+            until: values.until ? parseTime(values.until) : undefined,
+            type: values.type,
+            fileName: values.file,
+            functionName: values.function,
+            pattern
+        }
+    };
+}
+
+function parseMilestones(definitions) {
+    const milestones = definitions.map(definition => {
+        const separator = definition.indexOf('=');
+        if (separator <= 0 || separator === definition.length - 1) {
+            throw new Error(`Invalid --milestone "${definition}" - use name=message`);
+        }
+        return { name: definition.slice(0, separator), message: definition.slice(separator + 1) };
+    });
+    if (milestones.length < 2) {
+        throw new Error('Give at least two --milestone options');
+    }
+    return milestones;
+}
+
+function exportLogs(logStore, options) {
+    const sessions = querySessions(logStore, createLogFilter(options.filters));
+    const logCount = sessions.reduce((sum, session) => sum + session.logs.length, 0);
+    console.error(`🔎 ${logCount} log(s) from ${sessions.length} session(s)`);
+
+    if (options.format === 'csv') return toCsv(sessions);
+    if (options.format === 'html') return toHtmlTimeline(sessions, options.milestones);
+    return toJsonl(sessions);
+}
+
+// Milestones are found among the logs of the selected sessions and time range; the
+// type, file, function and message filters do not apply here
+function latencyReport(logStore, options) {
+    const { sessions: sessionRanges, since, until } = options.filters;
+    const sessions = querySessions(logStore, createLogFilter({ sessions: sessionRanges, since, until }))
+        .map(session => ({ number: session.number, steps: milestoneLatencies(session.logs, options.milestones) }));
+
+    if (options.format === 'jsonl') {
+        return sessions.map(session => JSON.stringify({ session: session.number, steps: session.steps }) + '\n').join('');
+    }
+    if (options.format === 'csv') {
+        const rows = sessions.flatMap(session => session.steps.map(step =>
+            [session.number, step.from, step.to, step.count, step.min, step.median, step.max, step.average]
+                .map(value => value === null ? '' : value).join(',')));
+        return ['session,from,to,count,min,median,max,average', ...rows].join('\n') + '\n';
+    }
+
+    if (sessions.length === 0) return 'No sessions match\n';
+    return sessions.map(session => [
+        `Session ${session.number}`,
+        ...session.steps.map(step => `   ${step.from} → ${step.to}: ${formatStep(step)}`)
+    ].join('\n')).join('\n') + '\n';
+}
+
+main();
@@ -0,0 +1,72 @@
+// Claude Code does not write permission prompts to the transcript; what shows up is a
+// tool_use that gets no tool_result. A tool still unanswered after `waitMs`, with nothing
+// else happening in its conversation, is reported as waiting for approval. A long
+// running tool looks the same, so the report means "probably waiting".
+function createApprovalDetector({ waitMs, onApprovalRequired }) {
+    const pendingTools = new Map();
+
+    function noteEvent(event) {
+        if (event.type === 'turn_done') {
+            clearConversation(event.conversationId);
+            return;
+        }
+
+        if (event.type !== 'tool_event') {
+            // Claude is still writing, so it is not blocked on any tool yet
+            restartTimers(event.conversationId);
+            return;
+        }
+
+        if (event.phase === 'finished') {
+            const pending = pendingTools.get(event.toolUseId);
+            if (pending) {
+                clearTimeout(pending.timer);
+                pendingTools.delete(event.toolUseId);
+            }
+            return;
+        }
+
+        const pending = { event, timer: null, reported: false };
+        pendingTools.set(event.toolUseId, pending);
+        startTimer(pending);
+    }
+
+    function startTimer(pending) {
+        clearTimeout(pending.timer);
+        pending.timer = setTimeout(() => {
+            if (pending.reported || !pendingTools.has(pending.event.toolUseId)) return;
+            pending.reported = true;
+            onApprovalRequired({
+                type: 'approval_required',
+                conversationId: pending.event.conversationId,
+                toolUseId: pending.event.toolUseId,
+                toolName: pending.event.toolName,
+                input: pending.event.input,
+                timestamp: new Date().toISOString()
+            });
+        }, waitMs);
+    }
+
+    function restartTimers(conversationId) {
+        pendingTools.forEach(pending => {
+            if (pending.event.conversationId === conversationId && !pending.reported) {
+                startTimer(pending);
+            }
+        });
+    }
+
+    function clearConversation(conversationId) {
+        pendingTools.forEach((pending, toolUseId) => {
+            if (!conversationId || pending.event.conversationId === conversationId) {
+                clearTimeout(pending.timer);
+                pendingTools.delete(toolUseId);
+            }
+        });
+    }
+
+    return { noteEvent };
+}
+
+module.exports = {
+    createApprovalDetector
+};
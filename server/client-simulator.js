@@ -0,0 +1,459 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const tls = require('tls');
+const YAML = require('yaml');
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const SCENARIO_ACTIONS = ['start', 'log', 'error', 'prompt', 'raw', 'expect', 'split', 'burst', 'disconnect', 'connect', 'sleep'];
+
+// Speaks the iOS app's protocol over the TCP (or TLS) transport: one JSON message per
+// line each way. Every message the server sends is kept until a `waitFor` takes it, so
+// replies that arrive before anybody waits for them are not lost.
+//
+// All callbacks are (error, result).
+function createSimulatedClient({ host = '127.0.0.1', port, useTls = false, rejectUnauthorized = false, deviceToken = 'simulator', timeoutMs = DEFAULT_TIMEOUT_MS }) {
+    let socket = null;
+    let buffer = '';
+    const unclaimed = [];
+    const waiters = [];
+    let resumeToken = null;
+    // This session's logs in the order they were sent, to resend what a resumed session missed
+    let sentLogs = [];
+
+    function connect(callback) {
+        if (socket) {
+            callback(new Error('Already connected'));
+            return;
+        }
+
+        buffer = '';
+        const options = { host, port, rejectUnauthorized };
+        const connection = useTls ? tls.connect(options) : net.connect(options);
+        let settled = false;
+
+        connection.setEncoding('utf8');
+        connection.once(useTls ? 'secureConnect' : 'connect', () => {
+            settled = true;
+            socket = connection;
+            callback(null);
+        });
+        connection.on('data', receive);
+        connection.on('error', (error) => {
+            if (!settled) {
+                settled = true;
+                callback(error);
+            }
+        });
+        connection.on('close', () => {
+            if (socket === connection) socket = null;
+        });
+    }
+
+    // Closes the connection; `abrupt` resets it like an app that was killed or lost its network
+    function disconnect(abrupt, callback) {
+        if (!socket) {
+            callback(null);
+            return;
+        }
+        const connection = socket;
+        socket = null;
+        connection.once('close', () => callback(null));
+        if (abrupt) {
+            connection.resetAndDestroy();
+        } else {
+            connection.end();
+        }
+    }
+
+    function receive(data) {
+        buffer += data;
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        lines.filter(line => line.trim()).forEach(line => {
+            let message;
+            try {
+                message = JSON.parse(line);
+            } catch (error) {
+                message = { type: 'unparsable', line };
+            }
+            const waiter = waiters.find(candidate => candidate.predicate(message));
+            if (waiter) {
+                waiters.splice(waiters.indexOf(waiter), 1);
+                clearTimeout(waiter.timer);
+                waiter.callback(null, message);
+            } else {
+                unclaimed.push(message);
+            }
+        });
+    }
+
+    // The first message, received or still to come, that matches `predicate`
+    function waitFor(predicate, waitMs, callback) {
+        const index = unclaimed.findIndex(predicate);
+        if (index !== -1) {
+            callback(null, unclaimed.splice(index, 1)[0]);
+            return;
+        }
+
+        const waiter = { predicate, callback };
+        waiter.timer = setTimeout(() => {
+            waiters.splice(waiters.indexOf(waiter), 1);
+            callback(new Error(`No matching message within ${waitMs}ms`));
+        }, waitMs);
+        waiters.push(waiter);
+    }
+
+    function sendRaw(text) {
+        if (!socket) throw new Error('Not connected');
+        socket.write(text);
+    }
+
+    function send(message) {
+        sendRaw(JSON.stringify(message) + '\n');
+    }
+
+    // Writes `text` in pieces of `chunkSize` bytes of UTF-8, `delayMs` apart, so the server
+    // has to put lines, and characters, back together from several reads
+    function sendInChunks(text, chunkSize, delayMs, callback) {
+        const bytes = Buffer.from(text, 'utf8');
+        const chunks = [];
+        for (let offset = 0; offset < bytes.length; offset += chunkSize) {
+            chunks.push(bytes.subarray(offset, offset + chunkSize));
+        }
+
+        function next(index) {
+            if (index === chunks.length) {
+                callback(null);
+                return;
+            }
+            try {
+                sendRaw(chunks[index]);
+            } catch (error) {
+                callback(error);
+                return;
+            }
+            setTimeout(() => next(index + 1), delayMs);
+        }
+        next(0);
+    }
+
+    // `resume` sends the resume token of the last handshake. When the session is resumed,
+    // the logs sent after its lastAckedLogId go out again before the callback, as the
+    // app would resend them after a reconnect; with `resendAll`, every log of the session
+    // does, as from an app that lost track of what was acknowledged
+    function start(options, callback) {
+        send({ type: 'start', deviceToken, protocolVersions: [1], resumeToken: options.resume && resumeToken ? resumeToken : undefined });
+        waitFor(message => ['handshake', 'protocol_error', 'auth_error'].includes(message.type), timeoutMs, (error, reply) => {
+            if (error) return callback(new Error(`No handshake: ${error.message}`));
+            if (reply.type !== 'handshake') return callback(new Error(`Handshake refused: ${JSON.stringify(reply)}`));
+
+            resumeToken = reply.resumeToken || null;
+            if (!reply.resumed) {
+                sentLogs = [];
+                return callback(null, reply);
+            }
+            const missed = options.resendAll ? sentLogs.slice() : sentLogs.slice(sentLogs.findIndex(message => message.id === reply.lastAckedLogId) + 1);
+            writeLogs(missed);
+            waitForAcks(missed, (ackError) => callback(ackError, reply));
+        });
+    }
+
+    // Sends a log (kind 'log') or error and waits for its `ack`
+    function log(kind, text, options, callback) {
+        sendLogs([buildLogMessage(kind, text, options)], true, callback);
+    }
+
+    // All `messages` in a single write, the way a backlog leaves the app after a stall
+    function sendLogs(messages, waitForAcksToo, callback) {
+        sentLogs.push(...messages);
+        writeLogs(messages);
+        if (waitForAcksToo) {
+            waitForAcks(messages, callback);
+        } else {
+            callback(null);
+        }
+    }
+
+    function sendLogInChunks(message, chunkSize, delayMs, callback) {
+        sentLogs.push(message);
+        sendInChunks(JSON.stringify(message) + '\n', chunkSize, delayMs, (error) => {
+            if (error) return callback(error);
+            waitForAcks([message], callback);
+        });
+    }
+
+    function writeLogs(messages) {
+        if (messages.length > 0) {
+            sendRaw(messages.map(message => JSON.stringify(message) + '\n').join(''));
+        }
+    }
+
+    function waitForAcks(messages, callback) {
+        let remaining = messages.length;
+        let failed = false;
+        if (remaining === 0) return callback(null);
+
+        messages.forEach(logMessage => {
+            waitFor(message => message.type === 'ack' && message.logId === logMessage.id, timeoutMs, (error) => {
+                if (failed) return;
+                if (error) {
+                    failed = true;
+                    return callback(new Error(`No ack for log ${logMessage.id}: ${error.message}`));
+                }
+                if (--remaining === 0) callback(null);
+            });
+        });
+    }
+
+    // Sends a prompt and waits for its final `prompt_ack` (status success or error);
+    // the progress acks before it stay available to `waitFor`
+    function prompt(text, options, callback) {
+        const id = options.id || crypto.randomUUID();
+        send({
+            type: 'prompt',
+            id,
+            deviceToken,
+            prompt: text,
+            category: options.category,
+            target: options.target,
+            timestamp: Date.now() / 1000
+        });
+        waitFor(message => message.type === 'prompt_ack' && message.status !== 'progress' &&
+            (message.promptId === id || (!message.promptId && message.originalPrompt === text)), options.timeoutMs || timeoutMs, (error, ack) => {
+            callback(error ? new Error(`No prompt_ack for "${text}": ${error.message}`) : null, ack);
+        });
+    }
+
+    return {
+        connect,
+        disconnect,
+        isConnected: () => socket !== null,
+        send,
+        sendRaw,
+        sendInChunks,
+        waitFor,
+        start,
+        log,
+        sendLogs,
+        sendLogInChunks,
+        prompt,
+        timeoutMs
+    };
+}
+
+// A log or error message as RealtimeClaude's Logger sends it
+function buildLogMessage(kind, text, options = {}) {
+    return {
+        type: { [kind]: {} },
+        id: options.id || crypto.randomUUID(),
+        timestamp: new Date().toISOString(),
+        fileName: options.fileName || 'Simulator.swift',
+        functionName: options.functionName || 'simulate()',
+        message: text
+    };
+}
+
+// A scenario file (YAML or JSON) is a list of steps, each either a bare action or an
+// object with one action key:
+//
+//   name: Handshake, logs and a prompt
+//   steps:
+//     - start                                   # handshake
+//     - start: { resume: true }                 # must resume the last session
+//     - start: { resume: true, resendAll: true } # and resends every log, not just the missed ones
+//     - log: Successful handshake               # waits for the ack
+//     - error: { message: Mic failed, fileName: AudioSession.swift }
+//     - prompt: List the files                  # waits for prompt_ack success
+//     - prompt: { text: Hello, target: nowhere, expect: error }
+//     - raw: "{not json"                        # sent as is, plus a newline
+//     - expect: { type: protocol_error, code: invalid_json }
+//     - split: { log: Split message, chunkSize: 5, delayMs: 20 }
+//     - burst: { count: 100, log: Burst message } # all in one write
+//     - burst: { count: 20, log: Unsure, waitForAcks: false }
+//     - disconnect                              # or { abrupt: true }
+//     - sleep: 500
+//     - connect
+//
+// Every step fails after the client's timeout, or its own `timeoutMs`.
+function loadScenario(scenarioFile) {
+    let raw;
+    try {
+        const content = fs.readFileSync(scenarioFile, 'utf8');
+        raw = /\.json$/.test(scenarioFile) ? JSON.parse(content) : YAML.parse(content);
+    } catch (error) {
+        throw new Error(`Unreadable scenario file ${scenarioFile}: ${error.message}`);
+    }
+
+    const problems = [];
+    const steps = compileSteps(raw, problems);
+    if (problems.length > 0) {
+        throw new Error(`Invalid scenario file ${scenarioFile}:\n   ${problems.join('\n   ')}`);
+    }
+    return { name: raw.name || scenarioFile, steps };
+}
+
+function compileSteps(raw, problems) {
+    if (!raw || typeof raw !== 'object' || !Array.isArray(raw.steps) || raw.steps.length === 0) {
+        problems.push('steps must be a non-empty list');
+        return [];
+    }
+
+    return raw.steps.map((step, index) => {
+        const label = `steps[${index}]`;
+        const [action, argument] = typeof step === 'string'
+            ? [step, undefined]
+            : (step && typeof step === 'object' && Object.keys(step).length === 1 ? Object.entries(step)[0] : [null, undefined]);
+
+        if (!SCENARIO_ACTIONS.includes(action)) {
+            problems.push(`${label} must be one of ${SCENARIO_ACTIONS.join(', ')}, alone or as the only key`);
+            return null;
+        }
+        const options = argument && typeof argument === 'object' ? argument : {};
+
+        switch (action) {
+            case 'log':
+            case 'error':
+            case 'prompt':
+            case 'raw':
+                if (typeof argument !== 'string' && typeof (options.message || options.text) !== 'string') {
+                    problems.push(`${label}.${action} needs text, or an object with ${action === 'prompt' ? 'text' : 'message'}`);
+                }
+                if (action === 'prompt' && options.expect !== undefined && !['success', 'error'].includes(options.expect)) {
+                    problems.push(`${label}.prompt.expect must be success or error`);
+                }
+                break;
+            case 'expect':
+                if (typeof options.type !== 'string') problems.push(`${label}.expect.type is required`);
+                break;
+            case 'split':
+                if (!['log', 'error', 'raw'].some(kind => typeof options[kind] === 'string')) {
+                    problems.push(`${label}.split needs a log, error or raw text`);
+                }
+                if (!Number.isInteger(options.chunkSize) || options.chunkSize <= 0) {
+                    problems.push(`${label}.split.chunkSize must be a positive integer`);
+                }
+                break;
+            case 'burst':
+                if (!Number.isInteger(options.count) || options.count <= 0) {
+                    problems.push(`${label}.burst.count must be a positive integer`);
+                }
+                if (!['log', 'error'].some(kind => typeof options[kind] === 'string')) {
+                    problems.push(`${label}.burst needs a log or error text`);
+                }
+                break;
+            case 'sleep':
+                if (!Number.isInteger(argument) || argument < 0) problems.push(`${label}.sleep must be milliseconds`);
+                break;
+        }
+        return { action, argument, options };
+    });
+}
+
+// Plays the steps in order and stops at the first that fails. The report lists every
+// step played: { name, passed, steps: [{ index, action, passed, durationMs, error }] }
+function runScenario(scenario, client, callback) {
+    const report = { name: scenario.name, passed: true, steps: [] };
+
+    function next(index) {
+        if (index === scenario.steps.length) {
+            callback(null, report);
+            return;
+        }
+
+        const step = scenario.steps[index];
+        const startedAt = Date.now();
+        runStep(client, step, (error) => {
+            report.steps.push({
+                index,
+                action: step.action,
+                passed: !error,
+                durationMs: Date.now() - startedAt,
+                error: error ? error.message : null
+            });
+            if (error) {
+                report.passed = false;
+                callback(null, report);
+                return;
+            }
+            next(index + 1);
+        });
+    }
+    next(0);
+}
+
+function runStep(client, { action, argument, options }, callback) {
+    const text = typeof argument === 'string' ? argument : (options.message || options.text);
+    const waitMs = options.timeoutMs || client.timeoutMs;
+
+    try {
+        switch (action) {
+            case 'connect':
+                return client.connect(callback);
+            case 'disconnect':
+                return client.disconnect(options.abrupt === true, callback);
+            case 'sleep':
+                return setTimeout(() => callback(null), argument);
+            case 'start':
+                return client.start(options, (error, handshake) => {
+                    if (error) return callback(error);
+                    callback(options.resume && !handshake.resumed ? new Error(`Session ${handshake.sessionNumber} was started instead of resumed`) : null);
+                });
+            case 'log':
+            case 'error':
+                return client.log(action, text, options, callback);
+            case 'raw':
+                client.sendRaw(text + '\n');
+                return callback(null);
+            case 'expect':
+                return client.waitFor(message => fieldsMatch(message, options), waitMs, (error) => {
+                    callback(error ? new Error(`Expected ${JSON.stringify(withoutTimeout(options))}: ${error.message}`) : null);
+                });
+            case 'prompt':
+                return client.prompt(text, options, (error, ack) => {
+                    if (error) return callback(error);
+                    const expected = options.expect || 'success';
+                    callback(ack.status === expected ? null : new Error(`prompt_ack ${ack.status}, expected ${expected}: ${ack.error || ''}`));
+                });
+            case 'split':
+                return runSplit(client, options, callback);
+            case 'burst':
+                return runBurst(client, options, callback);
+        }
+    } catch (error) {
+        callback(error);
+    }
+}
+
+function runSplit(client, options, callback) {
+    const kind = ['log', 'error'].find(candidate => typeof options[candidate] === 'string');
+    if (!kind) {
+        client.sendInChunks(options.raw + '\n', options.chunkSize, options.delayMs || 0, callback);
+        return;
+    }
+    client.sendLogInChunks(buildLogMessage(kind, options[kind], options), options.chunkSize, options.delayMs || 0, callback);
+}
+
+function runBurst(client, options, callback) {
+    const kind = typeof options.log === 'string' ? 'log' : 'error';
+    const messages = Array.from({ length: options.count }, (_, index) =>
+        buildLogMessage(kind, `${options[kind]} ${index + 1}/${options.count}`, { fileName: options.fileName, functionName: options.functionName }));
+    client.sendLogs(messages, options.waitForAcks !== false, callback);
+}
+
+function fieldsMatch(message, expected) {
+    return Object.entries(withoutTimeout(expected)).every(([field, value]) => message[field] === value);
+}
+
+function withoutTimeout(options) {
+    const { timeoutMs, ...fields } = options;
+    return fields;
+}
+
+module.exports = {
+    createSimulatedClient,
+    buildLogMessage,
+    loadScenario,
+    runScenario
+};
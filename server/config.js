@@ -0,0 +1,273 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseArgs } = require('util');
+const YAML = require('yaml');
+
+const DELIVERY_BACKENDS = ['applescript', 'tmux', 'headless', 'fake'];
+const DEFAULT_CONFIG_FILES = ['mac-server.config.json', 'mac-server.config.yaml', 'mac-server.config.yml'];
+
+// Every setting, in the order it is printed. Later sources win: default < config file < env < flag.
+// Boolean flags take no value; `flagValue: false` makes the flag switch the setting off.
+const OPTIONS = [
+    { key: 'host', flag: 'host', env: 'MAC_SERVER_HOST', type: 'string', default: '0.0.0.0' },
+    { key: 'port', flag: 'port', env: 'MAC_SERVER_PORT', type: 'port', default: 8082 },
+    { key: 'insecure', flag: 'insecure', env: 'MAC_SERVER_INSECURE', type: 'boolean', default: false },
+    { key: 'tls.port', flag: 'tls-port', env: 'MAC_SERVER_TLS_PORT', type: 'port', default: 8443 },
+    { key: 'tls.certFile', flag: 'tls-cert-file', env: 'TLS_CERT_FILE', type: 'path', default: path.join('private', 'tls', 'cert.pem') },
+    { key: 'tls.keyFile', flag: 'tls-key-file', env: 'TLS_KEY_FILE', type: 'path', default: path.join('private', 'tls', 'key.pem') },
+    { key: 'tls.validityDays', flag: null, env: null, type: 'positiveInteger', default: 825 },
+    { key: 'websocket.enabled', flag: 'no-websocket', flagValue: false, env: 'WEBSOCKET_ENABLED', type: 'boolean', default: true },
+    { key: 'websocket.port', flag: 'websocket-port', env: 'WEBSOCKET_PORT', type: 'port', default: 8084 },
+    { key: 'websocket.path', flag: null, env: null, type: 'string', default: '/ws' },
+    { key: 'websocket.allowedOrigins', flag: null, env: null, type: 'stringArray', default: [] },
+    { key: 'dashboard.enabled', flag: 'no-dashboard', flagValue: false, env: 'DASHBOARD_ENABLED', type: 'boolean', default: true },
+    { key: 'dashboard.host', flag: 'dashboard-host', env: 'DASHBOARD_HOST', type: 'string', default: '127.0.0.1' },
+    { key: 'dashboard.port', flag: 'dashboard-port', env: 'DASHBOARD_PORT', type: 'port', default: 8090 },
+    { key: 'logsDir', flag: 'logs-dir', env: 'LOGS_DIR', type: 'path', default: path.join('private', 'logs') },
+    { key: 'logs.counterFile', flag: null, env: null, type: 'path', default: path.join('private', 'session-counter.json') },
+    { key: 'logs.keepUncompressed', flag: null, env: null, type: 'nonNegativeInteger', default: 10 },
+    { key: 'logs.retention.maxAgeDays', flag: null, env: null, type: 'nonNegativeInteger', default: 0 },
+    { key: 'logs.retention.maxSessions', flag: null, env: null, type: 'nonNegativeInteger', default: 0 },
+    { key: 'logs.retention.maxBytes', flag: null, env: null, type: 'nonNegativeInteger', default: 0 },
+    { key: 'resume.windowSeconds', flag: 'resume-window-seconds', env: 'RESUME_WINDOW_SECONDS', type: 'nonNegativeInteger', default: 300 },
+    { key: 'narration.seqFile', flag: null, env: null, type: 'path', default: path.join('private', 'narration-seq.json') },
+    { key: 'resume.tokenFile', flag: null, env: null, type: 'path', default: path.join('private', 'session-resume.json') },
+    { key: 'statsIndexFile', flag: 'stats-index-file', env: 'STATS_INDEX_FILE', type: 'path', default: path.join('private', 'stats-index.json') },
+    { key: 'requirementsFile', flag: 'requirements-file', env: 'REQUIREMENTS_FILE', type: 'path', default: 'test-requirements.yaml' },
+    { key: 'testReports.dir', flag: 'test-reports-dir', env: 'TEST_REPORTS_DIR', type: 'path', default: path.join('private', 'test') },
+    { key: 'testReports.summarySessions', flag: null, env: null, type: 'positiveInteger', default: 20 },
+    { key: 'testReports.replayDir', flag: 'replay-reports-dir', env: 'REPLAY_REPORTS_DIR', type: 'path', default: null },
+    { key: 'secretsFile', flag: 'secrets-file', env: 'SECRETS_FILE', type: 'path', default: path.join('private', 'secrets.txt') },
+    { key: 'projectDir', flag: 'project-dir', env: 'CLAUDE_PROJECT_DIR', type: 'path', default: path.join(os.homedir(), 'Documents') },
+    { key: 'conversationDir', flag: 'conversation-dir', env: 'CLAUDE_CONVERSATION_DIR', type: 'path', default: null },
+    { key: 'delivery.backend', flag: 'delivery-backend', env: 'DELIVERY_BACKEND', type: 'enum', values: DELIVERY_BACKENDS, default: 'applescript' },
+    { key: 'delivery.tmuxTarget', flag: 'tmux-target', env: 'TMUX_TARGET', type: 'string', default: 'claude' },
+    { key: 'delivery.claudeCommand', flag: 'claude-command', env: 'CLAUDE_COMMAND', type: 'string', default: 'claude' },
+    { key: 'delivery.headlessArgs', flag: null, env: null, type: 'stringArray', default: ['-p', '--continue'] },
+    { key: 'targets', flag: null, env: null, type: 'targets', default: [] },
+    { key: 'devicesFile', flag: 'devices-file', env: 'DEVICES_FILE', type: 'path', default: path.join('private', 'devices.json') },
+    { key: 'pairing.required', flag: 'no-pairing', flagValue: false, env: 'PAIRING_REQUIRED', type: 'boolean', default: true },
+    { key: 'pairing.codeTtlSeconds', flag: null, env: null, type: 'positiveInteger', default: 600 },
+    { key: 'pairing.maxAttempts', flag: null, env: null, type: 'positiveInteger', default: 5 },
+    { key: 'pairing.globalMaxAttempts', flag: null, env: null, type: 'positiveInteger', default: 20 },
+    { key: 'pairing.lockoutBaseSeconds', flag: null, env: null, type: 'positiveInteger', default: 60 },
+    { key: 'pairing.lockoutMaxSeconds', flag: null, env: null, type: 'positiveInteger', default: 3600 },
+    { key: 'credentials.upstreamUrl', flag: 'credentials-url', env: 'REALTIME_CREDENTIALS_URL', type: 'string', default: 'https://api.openai.com/v1/realtime/client_secrets' },
+    { key: 'credentials.model', flag: null, env: 'REALTIME_MODEL', type: 'string', default: 'gpt-realtime' },
+    { key: 'credentials.ttlSeconds', flag: 'credentials-ttl-seconds', env: null, type: 'positiveInteger', default: 600 },
+    { key: 'credentials.refreshMarginSeconds', flag: null, env: null, type: 'positiveInteger', default: 60 },
+    { key: 'credentials.timeoutMs', flag: null, env: null, type: 'positiveInteger', default: 5000 },
+    { key: 'queue.file', flag: null, env: 'PROMPT_QUEUE_FILE', type: 'path', default: path.join('private', 'prompt-queue.json') },
+    { key: 'queue.maxAttempts', flag: null, env: null, type: 'positiveInteger', default: 3 },
+    { key: 'queue.retryBaseMs', flag: null, env: null, type: 'positiveInteger', default: 2000 },
+    { key: 'queue.retryMaxMs', flag: null, env: null, type: 'positiveInteger', default: 60000 },
+    { key: 'queue.staleBusyMs', flag: null, env: null, type: 'positiveInteger', default: 300000 },
+    { key: 'shutdown.graceMs', flag: null, env: null, type: 'positiveInteger', default: 10000 },
+    { key: 'supervisor.crashLog', flag: null, env: null, type: 'path', default: path.join('private', 'crashes.jsonl') },
+    { key: 'supervisor.restartBaseMs', flag: null, env: null, type: 'positiveInteger', default: 1000 },
+    { key: 'supervisor.restartMaxMs', flag: null, env: null, type: 'positiveInteger', default: 60000 },
+    { key: 'supervisor.stableAfterMs', flag: null, env: null, type: 'positiveInteger', default: 60000 },
+    { key: 'approvals.detectAfterMs', flag: null, env: null, type: 'positiveInteger', default: 3000 },
+    { key: 'verification.deadlineMs', flag: 'verify-deadline-ms', env: 'PROMPT_VERIFY_DEADLINE_MS', type: 'positiveInteger', default: 30000 }
+];
+
+function loadConfig(argv = process.argv.slice(2), env = process.env) {
+    const { values: flags, positionals } = parseArgs({
+        args: argv,
+        options: buildFlagOptions(),
+        allowPositionals: true
+    });
+
+    const configFile = flags.config || env.MAC_SERVER_CONFIG || findDefaultConfigFile();
+    const fileValues = configFile ? readConfigFile(configFile) : {};
+
+    const config = {};
+    const sources = {};
+    const errors = [];
+
+    OPTIONS.forEach(option => {
+        let value = option.default;
+        let source = 'default';
+
+        if (getPath(fileValues, option.key) !== undefined) {
+            value = getPath(fileValues, option.key);
+            source = configFile;
+        }
+        if (option.env && env[option.env] !== undefined && env[option.env] !== '') {
+            value = env[option.env];
+            source = `env ${option.env}`;
+        }
+        if (option.flag && flags[option.flag] !== undefined) {
+            value = option.type === 'boolean' ? option.flagValue !== false : flags[option.flag];
+            source = `--${option.flag}`;
+        }
+
+        const result = coerceValue(option, value);
+        if (result.error) {
+            errors.push(`${option.key} (from ${source}): ${result.error}`);
+        }
+        setPath(config, option.key, result.value);
+        sources[option.key] = source;
+    });
+
+    if (config.credentials.refreshMarginSeconds >= config.credentials.ttlSeconds) {
+        errors.push('credentials.refreshMarginSeconds must be smaller than credentials.ttlSeconds');
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid configuration:\n   ${errors.join('\n   ')}`);
+    }
+
+    if (!config.conversationDir) {
+        config.conversationDir = conversationDirForProject(config.projectDir);
+        sources.conversationDir = 'derived from projectDir';
+    }
+
+    config.command = positionals;
+    config.configFile = configFile;
+    config.sources = sources;
+    return config;
+}
+
+function buildFlagOptions() {
+    const flagOptions = { config: { type: 'string' } };
+    OPTIONS.filter(option => option.flag).forEach(option => {
+        flagOptions[option.flag] = { type: option.type === 'boolean' ? 'boolean' : 'string' };
+    });
+    return flagOptions;
+}
+
+function findDefaultConfigFile() {
+    return DEFAULT_CONFIG_FILES.find(file => fs.existsSync(file)) || null;
+}
+
+function readConfigFile(configFile) {
+    const content = fs.readFileSync(configFile, 'utf8');
+    const isYaml = /\.ya?ml$/.test(configFile);
+
+    try {
+        return (isYaml ? YAML.parse(content) : JSON.parse(content)) || {};
+    } catch (error) {
+        throw new Error(`Invalid configuration file ${configFile}: ${error.message}`);
+    }
+}
+
+// Claude Code stores the conversations of a project under ~/.claude/projects, in a
+// directory named after the project path with every non-alphanumeric character as '-'
+function conversationDirForProject(projectDir) {
+    const slug = path.resolve(projectDir).replace(/[^a-zA-Z0-9]/g, '-');
+    return path.join(os.homedir(), '.claude', 'projects', slug);
+}
+
+function coerceValue(option, value) {
+    switch (option.type) {
+        case 'string':
+            return typeof value === 'string' && value.trim() ? { value } : { value, error: 'must be a non-empty string' };
+        case 'path':
+            if (value === null) return { value };
+            return typeof value === 'string' && value.trim() ? { value: expandHome(value) } : { value, error: 'must be a path' };
+        case 'port': {
+            const port = Number(value);
+            return Number.isInteger(port) && port > 0 && port < 65536 ? { value: port } : { value, error: 'must be a port between 1 and 65535' };
+        }
+        case 'positiveInteger': {
+            const number = Number(value);
+            return Number.isInteger(number) && number > 0 ? { value: number } : { value, error: 'must be a positive integer' };
+        }
+        case 'nonNegativeInteger': {
+            const number = Number(value);
+            return Number.isInteger(number) && number >= 0 ? { value: number } : { value, error: 'must be 0 or a positive integer' };
+        }
+        case 'boolean':
+            if (value === true || value === 'true') return { value: true };
+            if (value === false || value === 'false') return { value: false };
+            return { value, error: 'must be true or false' };
+        case 'enum':
+            return option.values.includes(value) ? { value } : { value, error: `must be one of ${option.values.join(', ')}` };
+        case 'stringArray':
+            return Array.isArray(value) && value.every(item => typeof item === 'string') ? { value } : { value, error: 'must be a list of strings' };
+        case 'targets':
+            return coerceTargets(value);
+        default:
+            return { value, error: `unknown option type ${option.type}` };
+    }
+}
+
+// Extra Claude sessions, e.g. { name: 'api', categories: ['backend'], projectDir: '~/src/api',
+// delivery: { tmuxTarget: 'api' } }. Unset delivery settings fall back to the top-level ones.
+function coerceTargets(value) {
+    if (!Array.isArray(value)) return { value, error: 'must be a list of targets' };
+
+    const problems = [];
+    const names = new Set(['default']);
+    const targets = value.map((target, index) => {
+        const label = `targets[${index}]`;
+        if (!target || typeof target !== 'object') {
+            problems.push(`${label} must be an object`);
+            return target;
+        }
+        if (typeof target.name !== 'string' || !/^[A-Za-z0-9_-]+$/.test(target.name)) {
+            problems.push(`${label}.name must consist of letters, digits, '-' and '_'`);
+        } else if (names.has(target.name)) {
+            problems.push(`${label}.name "${target.name}" is ${target.name === 'default' ? 'reserved' : 'used twice'}`);
+        }
+        names.add(target.name);
+
+        const categories = target.categories === undefined ? [] : target.categories;
+        if (!Array.isArray(categories) || !categories.every(item => typeof item === 'string')) {
+            problems.push(`${label}.categories must be a list of strings`);
+        }
+        if (typeof target.projectDir !== 'string' || !target.projectDir.trim()) {
+            problems.push(`${label}.projectDir must be a path`);
+        }
+        if (target.conversationDir !== undefined && typeof target.conversationDir !== 'string') {
+            problems.push(`${label}.conversationDir must be a path`);
+        }
+        const delivery = target.delivery || {};
+        if (delivery.backend !== undefined && !DELIVERY_BACKENDS.includes(delivery.backend)) {
+            problems.push(`${label}.delivery.backend must be one of ${DELIVERY_BACKENDS.join(', ')}`);
+        }
+
+        return {
+            name: target.name,
+            categories: categories,
+            projectDir: typeof target.projectDir === 'string' ? expandHome(target.projectDir) : target.projectDir,
+            conversationDir: typeof target.conversationDir === 'string' ? expandHome(target.conversationDir) : null,
+            delivery: delivery
+        };
+    });
+
+    return problems.length > 0 ? { value, error: problems.join('; ') } : { value: targets };
+}
+
+function expandHome(filePath) {
+    return filePath.startsWith('~/') ? path.join(os.homedir(), filePath.slice(2)) : filePath;
+}
+
+function getPath(object, key) {
+    return key.split('.').reduce((current, part) => (current == null ? undefined : current[part]), object);
+}
+
+function setPath(object, key, value) {
+    const parts = key.split('.');
+    const last = parts.pop();
+    const parent = parts.reduce((current, part) => {
+        if (!current[part]) current[part] = {};
+        return current[part];
+    }, object);
+    parent[last] = value;
+}
+
+function printConfig(config) {
+    console.log('⚙️  Effective configuration:');
+    OPTIONS.forEach(option => {
+        console.log(`   ${option.key} = ${JSON.stringify(getPath(config, option.key))} (${config.sources[option.key]})`);
+    });
+}
+
+module.exports = {
+    loadConfig,
+    printConfig,
+    conversationDirForProject
+};
@@ -0,0 +1,167 @@
+const fs = require('fs');
+const path = require('path');
+const { extractText } = require('./prompt-verifier');
+
+const TITLE_LENGTH = 80;
+const SNIPPET_LENGTH = 200;
+
+// Read-only view of the Claude conversations in `conversationDir`: recent conversations,
+// paged transcripts and text search. Parsed files are cached until their size or mtime
+// changes, so listing again after Claude wrote a line only re-reads that one file.
+function createConversationHistory(conversationDir) {
+    const cache = new Map();
+
+    function list(limit) {
+        return loadAll()
+            .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+            .slice(0, limit)
+            .map(describe);
+    }
+
+    // Messages are numbered from the start of the conversation; offset/limit page them
+    function transcript(conversationId, offset, limit) {
+        const conversation = load(conversationId);
+        if (!conversation) return null;
+
+        return {
+            ...describe(conversation),
+            offset: offset,
+            total: conversation.messages.length,
+            messages: conversation.messages.slice(offset, offset + limit)
+        };
+    }
+
+    // Case-insensitive substring search over every user and assistant message, newest first
+    function search(query, limit) {
+        const needle = query.toLowerCase();
+        const results = [];
+
+        loadAll()
+            .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+            .forEach(conversation => {
+                conversation.messages.forEach((message, index) => {
+                    const position = message.text.toLowerCase().indexOf(needle);
+                    if (position === -1) return;
+                    results.push({
+                        conversationId: conversation.conversationId,
+                        title: conversation.title,
+                        index: index,
+                        role: message.role,
+                        timestamp: message.timestamp,
+                        snippet: snippetAround(message.text, position, needle.length)
+                    });
+                });
+            });
+
+        return results.slice(0, limit);
+    }
+
+    function exists(conversationId) {
+        return isConversationId(conversationId) && fs.existsSync(fileFor(conversationId));
+    }
+
+    function loadAll() {
+        if (!fs.existsSync(conversationDir)) return [];
+
+        return fs.readdirSync(conversationDir)
+            .filter(f => f.endsWith('.jsonl'))
+            .map(f => load(path.basename(f, '.jsonl')))
+            .filter(conversation => conversation && conversation.messages.length > 0);
+    }
+
+    function load(conversationId) {
+        if (!exists(conversationId)) return null;
+
+        const filePath = fileFor(conversationId);
+        const stats = fs.statSync(filePath);
+        const cached = cache.get(filePath);
+        if (cached && cached.size === stats.size && cached.mtimeMs === stats.mtimeMs) {
+            return cached.conversation;
+        }
+
+        const conversation = parseConversation(conversationId, fs.readFileSync(filePath, 'utf8'), stats);
+        cache.set(filePath, { size: stats.size, mtimeMs: stats.mtimeMs, conversation });
+        return conversation;
+    }
+
+    function fileFor(conversationId) {
+        return path.join(conversationDir, `${conversationId}.jsonl`);
+    }
+
+    return { list, transcript, search, exists };
+}
+
+function parseConversation(conversationId, content, stats) {
+    const messages = [];
+    let summary = null;
+
+    content.split('\n').forEach(line => {
+        if (!line.trim()) return;
+
+        let entry;
+        try {
+            entry = JSON.parse(line);
+        } catch (e) {
+            return;
+        }
+
+        if (entry.type === 'summary' && typeof entry.summary === 'string') {
+            summary = entry.summary;
+            return;
+        }
+        if ((entry.type !== 'user' && entry.type !== 'assistant') || !entry.message || entry.isMeta || entry.isSidechain) return;
+
+        // Tool results are user entries too, but carry no text
+        const text = extractText(entry.message.content).trim();
+        if (!text) return;
+
+        messages.push({
+            role: entry.type,
+            entryId: entry.uuid,
+            text: text,
+            timestamp: entry.timestamp || null
+        });
+    });
+
+    const firstUserMessage = messages.find(message => message.role === 'user');
+    const lastAssistantMessage = [...messages].reverse().find(message => message.role === 'assistant');
+
+    return {
+        conversationId: conversationId,
+        title: summary || (firstUserMessage ? truncate(firstUserMessage.text.replace(/\s+/g, ' '), TITLE_LENGTH) : conversationId),
+        startedAt: (messages[0] && messages[0].timestamp) || stats.birthtime.toISOString(),
+        updatedAt: (messages.length > 0 && messages[messages.length - 1].timestamp) || stats.mtime.toISOString(),
+        lastAssistantMessage: lastAssistantMessage ? lastAssistantMessage.text : null,
+        messages: messages
+    };
+}
+
+function describe(conversation) {
+    return {
+        conversationId: conversation.conversationId,
+        title: conversation.title,
+        startedAt: conversation.startedAt,
+        updatedAt: conversation.updatedAt,
+        messageCount: conversation.messages.length,
+        lastAssistantMessage: conversation.lastAssistantMessage
+    };
+}
+
+function snippetAround(text, position, length) {
+    const start = Math.max(0, position - Math.floor((SNIPPET_LENGTH - length) / 2));
+    const snippet = text.slice(start, start + SNIPPET_LENGTH).replace(/\s+/g, ' ');
+    return `${start > 0 ? '…' : ''}${snippet}${start + SNIPPET_LENGTH < text.length ? '…' : ''}`;
+}
+
+function truncate(text, length) {
+    return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+// Conversation ids come from the client and end up in a path, so only plain names pass
+function isConversationId(conversationId) {
+    return typeof conversationId === 'string' && /^[A-Za-z0-9_-]+$/.test(conversationId);
+}
+
+module.exports = {
+    createConversationHistory
+};
@@ -0,0 +1,212 @@
+const chokidar = require('chokidar');
+const fs = require('fs');
+const path = require('path');
+const { StringDecoder } = require('string_decoder');
+
+const TURN_IDLE_MS = 3000;
+
+// Follows every .jsonl conversation in `conversationDir` and reports what Claude
+// writes after the tailer started. Existing content is skipped; files created later
+// are read from the beginning.
+function createConversationTailer(conversationDir, onEvent) {
+    const offsets = new Map();
+    const partialLines = new Map();
+    const decoders = new Map();
+    const toolNames = new Map();
+    // Each conversation has a turn of its own, so two sessions writing at once do not mix
+    const turnStates = new Map();
+
+    if (fs.existsSync(conversationDir)) {
+        fs.readdirSync(conversationDir)
+            .filter(isConversationFile)
+            .forEach(f => {
+                const size = fileSize(path.join(conversationDir, f));
+                if (size !== null) offsets.set(path.join(conversationDir, f), size);
+            });
+    }
+
+    const watcher = chokidar.watch(conversationDir, {
+        persistent: true,
+        ignoreInitial: true,
+        depth: 0
+    });
+
+    watcher.on('add', readNewLines);
+    watcher.on('change', readNewLines);
+    watcher.on('unlink', forgetFile);
+    watcher.on('error', error => {
+        console.error(`❌ Conversation tailer error in ${conversationDir}: ${error.message}`);
+    });
+
+    console.log(`👀 Tailing Claude conversations in: ${conversationDir}`);
+
+    function readNewLines(filePath) {
+        if (!isConversationFile(filePath)) return;
+
+        const offset = offsets.get(filePath) || 0;
+        const size = fileSize(filePath);
+
+        if (size === null) {
+            // Deleted between the event and now
+            forgetFile(filePath);
+            return;
+        }
+
+        if (size < offset) {
+            // File was rewritten - start over from the top
+            forgetFile(filePath);
+            readNewLines(filePath);
+            return;
+        }
+
+        if (size === offset) return;
+
+        if (!decoders.has(filePath)) decoders.set(filePath, new StringDecoder('utf8'));
+        const chunk = readRange(filePath, offset, size, decoders.get(filePath));
+        offsets.set(filePath, size);
+
+        const text = (partialLines.get(filePath) || '') + chunk;
+        const lines = text.split('\n');
+        partialLines.set(filePath, lines.pop());
+
+        const conversationId = path.basename(filePath, '.jsonl');
+        lines.filter(line => line.trim()).forEach(line => handleLine(conversationId, line));
+    }
+
+    function forgetFile(filePath) {
+        offsets.delete(filePath);
+        partialLines.delete(filePath);
+        decoders.delete(filePath);
+    }
+
+    function handleLine(conversationId, line) {
+        let entry;
+        try {
+            entry = JSON.parse(line);
+        } catch (e) {
+            console.error(`❌ Skipping unparsable conversation line in ${conversationId}: ${e.message}`);
+            return;
+        }
+
+        extractEvents(entry, toolNames).forEach(event => {
+            event.conversationId = conversationId;
+            if (trackTurn(event)) {
+                onEvent(event);
+            }
+        });
+    }
+
+    // Claude often leaves stop_reason empty in the transcript, so a turn also counts as
+    // done once it ended on text with no tool still running and the file went quiet.
+    // Returns false for a turn_done that the idle fallback already reported.
+    function trackTurn(event) {
+        const conversationId = event.conversationId;
+        if (!turnStates.has(conversationId)) {
+            turnStates.set(conversationId, { open: false, pendingTools: 0, idleTimer: null });
+        }
+        const turnState = turnStates.get(conversationId);
+        clearTimeout(turnState.idleTimer);
+
+        if (event.type === 'turn_done') {
+            turnStates.delete(conversationId);
+            return turnState.open;
+        }
+
+        turnState.open = true;
+
+        if (event.type === 'tool_event') {
+            turnState.pendingTools += event.phase === 'started' ? 1 : -1;
+            turnState.pendingTools = Math.max(turnState.pendingTools, 0);
+            return true;
+        }
+
+        if (event.type === 'assistant_message' && turnState.pendingTools === 0) {
+            turnState.idleTimer = setTimeout(() => {
+                turnStates.delete(conversationId);
+                onEvent({ type: 'turn_done', conversationId, reason: 'idle', timestamp: new Date().toISOString() });
+            }, TURN_IDLE_MS);
+        }
+
+        return true;
+    }
+
+    return {
+        close: () => {
+            turnStates.forEach(turnState => clearTimeout(turnState.idleTimer));
+            return watcher.close();
+        }
+    };
+}
+
+function isConversationFile(filePath) {
+    return filePath.endsWith('.jsonl');
+}
+
+// The file size, or null once the file is gone
+function fileSize(filePath) {
+    try {
+        return fs.statSync(filePath).size;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Bytes start..end as text. Claude may be halfway through writing a character at `end`,
+// so the caller's decoder holds incomplete bytes back until the next read.
+function readRange(filePath, start, end, decoder) {
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        const buffer = Buffer.alloc(end - start);
+        fs.readSync(fd, buffer, 0, buffer.length, start);
+        return decoder.write(buffer);
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+function extractEvents(entry, toolNames) {
+    if (!entry.message || entry.isMeta || entry.isSidechain) return [];
+
+    const content = Array.isArray(entry.message.content) ? entry.message.content : [];
+    const timestamp = entry.timestamp || new Date().toISOString();
+    const events = [];
+
+    if (entry.type === 'assistant') {
+        content.forEach(block => {
+            if (block.type === 'text' && block.text && block.text.trim()) {
+                events.push({ type: 'assistant_message', entryId: entry.uuid, text: block.text, timestamp });
+            } else if (block.type === 'tool_use') {
+                toolNames.set(block.id, block.name);
+                events.push({ type: 'tool_event', phase: 'started', entryId: entry.uuid, toolUseId: block.id, toolName: block.name, input: block.input, timestamp });
+            }
+        });
+
+        if (entry.message.stop_reason === 'end_turn' || entry.message.stop_reason === 'stop_sequence') {
+            events.push({ type: 'turn_done', entryId: entry.uuid, reason: entry.message.stop_reason, timestamp });
+        }
+    } else if (entry.type === 'user') {
+        content.forEach(block => {
+            if (block.type === 'tool_result') {
+                events.push({
+                    type: 'tool_event',
+                    phase: 'finished',
+                    entryId: entry.uuid,
+                    toolUseId: block.tool_use_id,
+                    toolName: toolNames.get(block.tool_use_id) || null,
+                    isError: block.is_error === true,
+                    timestamp
+                });
+                toolNames.delete(block.tool_use_id);
+            }
+        });
+    }
+
+    return events;
+}
+
+module.exports = {
+    createConversationTailer,
+    extractEvents,
+    fileSize,
+    readRange
+};
@@ -0,0 +1,166 @@
+const fs = require('fs');
+const path = require('path');
+const { loadRequirementsSpec, evaluateSessionLogs } = require('./requirements');
+
+const PAGE_FILE = path.join(__dirname, 'dashboard.html');
+const RECENT_LOG_LIMIT = 200;
+const HEARTBEAT_MS = 15000;
+
+// Read-only web view of the server: the page at / and the JSON it is built from.
+//
+//   GET /api/status            server uptime, current session, totals
+//   GET /api/sessions          every stored session with its stats
+//   GET /api/sessions/<n>      one session: stats, requirements, errors, logs
+//   GET /api/prompts           prompt history of every target with its outcome
+//   GET /api/logs/stream       server-sent events: `log` per log line, `session` per new session
+//   GET /health                liveness for monitoring, 503 unless the server is fully up
+//
+// The server calls logReceived / sessionStarted; everything else is read on request,
+// including the requirements file, so edits to it show up on the next page load.
+function createDashboard({ logStore, statsIndex, requirementsFile, listPrompts, currentSession, health }) {
+    const startedAt = Date.now();
+    const streams = new Set();
+    const recentLogs = [];
+
+    const heartbeat = setInterval(() => {
+        streams.forEach(response => response.write(': heartbeat\n\n'));
+    }, HEARTBEAT_MS);
+    heartbeat.unref();
+
+    function handleRequest(request, response) {
+        const url = new URL(request.url, 'http://dashboard');
+
+        if (request.method !== 'GET') {
+            sendJson(response, 405, { error: 'Only GET is supported' });
+            return;
+        }
+
+        try {
+            routeRequest(url.pathname, request, response);
+        } catch (error) {
+            console.error(`❌ Dashboard request ${url.pathname} failed:`, error);
+            sendJson(response, 500, { error: error.message });
+        }
+    }
+
+    function routeRequest(pathname, request, response) {
+        if (pathname === '/') {
+            response.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+            response.end(fs.readFileSync(PAGE_FILE));
+            return;
+        }
+        if (pathname === '/health') {
+            const report = health();
+            sendJson(response, report.status === 'ok' ? 200 : 503, report);
+            return;
+        }
+        if (pathname === '/api/status') {
+            sendJson(response, 200, status());
+            return;
+        }
+        if (pathname === '/api/sessions') {
+            sendJson(response, 200, { sessions: listSessions() });
+            return;
+        }
+        const sessionMatch = /^\/api\/sessions\/(\d+)$/.exec(pathname);
+        if (sessionMatch) {
+            const session = sessionDetails(parseInt(sessionMatch[1], 10));
+            sendJson(response, session ? 200 : 404, session || { error: `No session ${sessionMatch[1]}` });
+            return;
+        }
+        if (pathname === '/api/prompts') {
+            sendJson(response, 200, { prompts: listPrompts() });
+            return;
+        }
+        if (pathname === '/api/logs/stream') {
+            openStream(request, response);
+            return;
+        }
+        sendJson(response, 404, { error: `Not found: ${pathname}` });
+    }
+
+    function status() {
+        return {
+            serverStartedAt: new Date(startedAt).toISOString(),
+            serverUptime: Date.now() - startedAt,
+            currentSession: currentSession() || null,
+            ...statsIndex.summary()
+        };
+    }
+
+    function listSessions() {
+        const stats = statsIndex.sessions();
+        return logStore.listSessions().reverse().map(stored => ({
+            number: stored.number,
+            compressed: stored.compressed,
+            size: stored.size,
+            ...(stats[stored.number] || {})
+        }));
+    }
+
+    function sessionDetails(sessionNumber) {
+        const content = logStore.readSession(sessionNumber);
+        if (content === null) return null;
+
+        const logs = parseLogLines(content);
+        return {
+            number: sessionNumber,
+            active: sessionNumber === currentSession(),
+            ...(statsIndex.sessions()[sessionNumber] || {}),
+            ...evaluateSessionLogs(logs, loadRequirementsSpec(requirementsFile)),
+            logs: logs
+        };
+    }
+
+    // A new viewer first gets the recent lines, then everything as it arrives
+    function openStream(request, response) {
+        response.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive'
+        });
+        recentLogs.forEach(event => writeEvent(response, 'log', event));
+        streams.add(response);
+        request.on('close', () => streams.delete(response));
+    }
+
+    function logReceived(sessionNumber, logData) {
+        const event = { session: sessionNumber, ...logData };
+        recentLogs.push(event);
+        if (recentLogs.length > RECENT_LOG_LIMIT) {
+            recentLogs.shift();
+        }
+        streams.forEach(response => writeEvent(response, 'log', event));
+    }
+
+    function sessionStarted(sessionNumber) {
+        streams.forEach(response => writeEvent(response, 'session', { session: sessionNumber }));
+    }
+
+    return { handleRequest, logReceived, sessionStarted };
+}
+
+function writeEvent(response, event, data) {
+    response.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function sendJson(response, statusCode, body) {
+    response.writeHead(statusCode, { 'Content-Type': 'application/json; charset=utf-8' });
+    response.end(JSON.stringify(body));
+}
+
+function parseLogLines(content) {
+    return content.split('\n')
+        .filter(line => line.trim())
+        .map(line => {
+            try {
+                return JSON.parse(line);
+            } catch (error) {
+                return { type: { error: {} }, message: `Unparsable log line: ${line}` };
+            }
+        });
+}
+
+module.exports = {
+    createDashboard
+};
@@ -0,0 +1,379 @@
+const { execFile, spawn } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { toAppleScriptText, toUtf8Bytes } = require('./prompt-encoding');
+
+// Each paste gets its own tmux buffer, so deliveries to different panes cannot collide
+let tmuxBufferCount = 0;
+
+const FAKE_REPLY_DELAY_MS = 200;
+
+function createDeliveryBackend(options) {
+    switch (options.backend) {
+        case 'applescript':
+            return createAppleScriptBackend();
+        case 'tmux':
+            return createTmuxBackend(options);
+        case 'headless':
+            return createHeadlessBackend(options);
+        case 'fake':
+            return createFakeBackend(options);
+        default:
+            throw new Error(`Unknown delivery backend: ${options.backend}`);
+    }
+}
+
+function createAppleScriptBackend() {
+    return {
+        name: 'applescript',
+        method: 'terminal_automation',
+        deliver: injectIntoTerminal,
+        sendControl: (command, option, callback) => pressKeysInTerminal(controlKeys(command, option), callback),
+        resume: (conversationId, callback) => injectIntoTerminal(resumeCommand(conversationId), callback)
+    };
+}
+
+function createTmuxBackend(options) {
+    const target = options.tmuxTarget;
+
+    return {
+        name: 'tmux',
+        method: 'tmux_send_keys',
+        deliver: (prompt, callback) => sendKeysToTmuxPane(target, prompt, callback),
+        sendControl: (command, option, callback) => pressKeysInTmuxPane(target, controlKeys(command, option), callback),
+        resume: (conversationId, callback) => sendKeysToTmuxPane(target, resumeCommand(conversationId), callback)
+    };
+}
+
+function createHeadlessBackend(options) {
+    const runningChildren = new Set();
+    let resumeConversationId = null;
+
+    return {
+        name: 'headless',
+        method: 'headless_cli',
+        deliver: (prompt, callback) => {
+            const args = headlessArgsFor(options.headlessArgs, resumeConversationId);
+            resumeConversationId = null;
+            runClaudeHeadless(options, args, prompt, runningChildren, callback);
+        },
+        sendControl: (command, option, callback) => controlHeadlessClaude(runningChildren, command, callback),
+        // Only the next run resumes explicitly; after it, --continue picks up the same conversation
+        resume: (conversationId, callback) => {
+            resumeConversationId = conversationId;
+            console.log(`⏪ Next headless Claude run resumes conversation ${conversationId}`);
+            callback(true);
+        }
+    };
+}
+
+// For tests without Claude (see simulate-client.js): every prompt is written to the
+// conversation directory the way Claude Code records it, followed by a canned reply,
+// so verification, narration and history work as with a real session
+function createFakeBackend(options) {
+    const pendingReplies = new Set();
+    let conversationId = crypto.randomUUID();
+    let parentUuid = null;
+
+    function appendEntry(entry) {
+        const line = {
+            ...entry,
+            uuid: crypto.randomUUID(),
+            parentUuid,
+            sessionId: conversationId,
+            cwd: options.projectDir,
+            timestamp: new Date().toISOString()
+        };
+        parentUuid = line.uuid;
+        fs.mkdirSync(options.conversationDir, { recursive: true });
+        fs.appendFileSync(path.join(options.conversationDir, `${conversationId}.jsonl`), JSON.stringify(line) + '\n');
+    }
+
+    return {
+        name: 'fake',
+        method: 'fake_claude',
+        deliver: (prompt, callback) => {
+            appendEntry({ type: 'user', message: { role: 'user', content: prompt } });
+            const reply = setTimeout(() => {
+                pendingReplies.delete(reply);
+                appendEntry({
+                    type: 'assistant',
+                    message: { role: 'assistant', content: [{ type: 'text', text: `Fake Claude received: ${prompt}` }], stop_reason: 'end_turn' }
+                });
+            }, FAKE_REPLY_DELAY_MS);
+            pendingReplies.add(reply);
+            callback(true);
+        },
+        sendControl: (command, option, callback) => {
+            // Interrupting drops the replies not written yet; there is never a permission prompt to answer
+            if (command === 'interrupt') {
+                pendingReplies.forEach(reply => clearTimeout(reply));
+                pendingReplies.clear();
+            }
+            console.log(`🎭 Fake Claude got ${command}${option ? ` ${option}` : ''}`);
+            callback(true);
+        },
+        resume: (id, callback) => {
+            conversationId = id;
+            parentUuid = null;
+            console.log(`⏪ Fake Claude continues conversation ${id}`);
+            callback(true);
+        }
+    };
+}
+
+// Interactive sessions switch conversations with Claude Code's /resume command
+function resumeCommand(conversationId) {
+    return `/resume ${conversationId}`;
+}
+
+function headlessArgsFor(headlessArgs, resumeConversationId) {
+    if (!resumeConversationId) return headlessArgs;
+    return [...headlessArgs.filter(arg => arg !== '--continue' && arg !== '-c'), '--resume', resumeConversationId];
+}
+
+// Keys Claude Code's terminal UI expects for each control command: Escape stops the
+// current turn and declines a permission prompt, a digit picks that numbered option
+// (1 is always "Yes")
+function controlKeys(command, option) {
+    switch (command) {
+        case 'interrupt':
+        case 'deny':
+            return ['Escape'];
+        case 'approve':
+            return ['1'];
+        case 'select_option':
+            return [String(option)];
+        default:
+            throw new Error(`Unknown control command: ${command}`);
+    }
+}
+
+function injectIntoTerminal(prompt, callback) {
+    console.log(`🔤 Injecting prompt into Terminal: ${JSON.stringify(prompt)}`);
+
+    // The prompt is pasted rather than typed: keystroke would press return at every
+    // newline and cannot type most unicode. The user's clipboard is put back afterwards.
+    const appleScript = `
+        set previousClipboard to missing value
+        try
+            set previousClipboard to the clipboard
+        end try
+        set the clipboard to ${toAppleScriptText(prompt)}
+
+        -- First activate Terminal to bring it to front
+        tell application "Terminal"
+            activate
+        end tell
+
+        -- Short delay to ensure activation
+        delay 0.2
+
+        -- Use System Events for extra reliability
+        tell application "System Events"
+            tell process "Terminal"
+                set frontmost to true
+
+                -- Perform AXRaise action for additional window raising
+                try
+                    perform action "AXRaise" of window 1
+                end try
+
+                -- Now paste the prompt
+                keystroke "v" using command down
+
+                -- Wait 1 second before pressing enter
+                delay 1
+
+                keystroke return
+            end tell
+        end tell
+
+        if previousClipboard is not missing value then
+            set the clipboard to previousClipboard
+        end if
+
+        return "success: Pasted into Terminal (macOS 26 enhanced method)"
+`;
+
+    console.log('🍎 Executing enhanced AppleScript for macOS 26 Tahoe...');
+
+    // The script goes in over stdin, so no shell ever sees the prompt
+    runWithInput('osascript', [], appleScript, (error, stdout, stderr) => {
+        console.log('📝 AppleScript result:');
+        if (error) {
+            console.log(`   Error: ${error.message}`);
+            console.log(`   Note: Ensure Terminal has Accessibility permissions in System Settings`);
+            callback(false, `AppleScript error: ${error.message}`);
+        } else if (stderr) {
+            console.log(`   Stderr: ${stderr}`);
+            callback(false, `AppleScript stderr: ${stderr}`);
+        } else if (stdout.includes('error:')) {
+            console.log(`   Output: ${stdout.trim()}`);
+            callback(false, stdout.trim());
+        } else {
+            console.log(`   Success: ${stdout.trim()}`);
+            callback(true);
+        }
+    });
+}
+
+function sendKeysToTmuxPane(target, prompt, callback) {
+    console.log(`🪟 Sending prompt to tmux pane "${target}": ${JSON.stringify(prompt)}`);
+
+    // The prompt goes through a tmux buffer and is pasted with bracketed paste (-p), so
+    // newlines inside it do not submit early and nothing is read as a key name
+    const bufferName = `mac-server-${process.pid}-${++tmuxBufferCount}`;
+    runWithInput('tmux', ['load-buffer', '-b', bufferName, '-'], toUtf8Bytes(prompt), (error, stdout, stderr) => {
+        if (error) {
+            console.log(`   Error: ${error.message}`);
+            callback(false, `tmux error: ${stderr.trim() || error.message}`);
+            return;
+        }
+
+        execFile('tmux', ['paste-buffer', '-d', '-p', '-b', bufferName, '-t', target], (pasteError, pasteStdout, pasteStderr) => {
+            if (pasteError) {
+                console.log(`   Error: ${pasteError.message}`);
+                callback(false, `tmux error: ${pasteStderr.trim() || pasteError.message}`);
+                return;
+            }
+
+            // Same pause as the AppleScript backend so Claude's input box settles before submitting
+            setTimeout(() => {
+                execFile('tmux', ['send-keys', '-t', target, 'Enter'], (enterError, enterStdout, enterStderr) => {
+                    if (enterError) {
+                        console.log(`   Error: ${enterError.message}`);
+                        callback(false, `tmux error: ${enterStderr.trim() || enterError.message}`);
+                    } else {
+                        console.log(`   Success: Sent to tmux pane "${target}"`);
+                        callback(true);
+                    }
+                });
+            }, 1000);
+        });
+    });
+}
+
+function pressKeysInTerminal(keys, callback) {
+    console.log(`⌨️ Pressing ${keys.join(', ')} in Terminal`);
+
+    const keyStatements = keys.map(key => key === 'Escape' ? 'key code 53' : `keystroke "${key}"`);
+    const appleScript = `
+        tell application "Terminal"
+            activate
+        end tell
+
+        delay 0.2
+
+        tell application "System Events"
+            tell process "Terminal"
+                set frontmost to true
+                ${keyStatements.join('\n                ')}
+            end tell
+        end tell
+
+        return "success: Pressed keys in Terminal"
+`;
+
+    runWithInput('osascript', [], appleScript, (error, stdout, stderr) => {
+        if (error) {
+            console.log(`   Error: ${error.message}`);
+            callback(false, `AppleScript error: ${error.message}`);
+        } else if (stderr) {
+            console.log(`   Stderr: ${stderr}`);
+            callback(false, `AppleScript stderr: ${stderr}`);
+        } else {
+            console.log(`   Success: ${stdout.trim()}`);
+            callback(true);
+        }
+    });
+}
+
+function pressKeysInTmuxPane(target, keys, callback) {
+    console.log(`⌨️ Pressing ${keys.join(', ')} in tmux pane "${target}"`);
+
+    execFile('tmux', ['send-keys', '-t', target, ...keys], (error, stdout, stderr) => {
+        if (error) {
+            console.log(`   Error: ${error.message}`);
+            callback(false, `tmux error: ${stderr.trim() || error.message}`);
+        } else {
+            callback(true);
+        }
+    });
+}
+
+// Headless Claude never stops to ask for permission, so the only thing to control is
+// stopping the runs in progress
+function controlHeadlessClaude(runningChildren, command, callback) {
+    if (command !== 'interrupt') {
+        callback(false, `${command} is not available with the headless backend - headless Claude does not ask for permission`);
+        return;
+    }
+
+    if (runningChildren.size === 0) {
+        callback(false, 'No headless Claude run in progress');
+        return;
+    }
+
+    runningChildren.forEach(child => {
+        console.log(`🛑 Interrupting headless Claude (PID: ${child.pid})`);
+        child.kill('SIGINT');
+    });
+    callback(true);
+}
+
+function runClaudeHeadless(options, args, prompt, runningChildren, callback) {
+    console.log(`🤖 Spawning headless Claude: ${options.claudeCommand} ${args.join(' ')} < ${JSON.stringify(prompt)}`);
+    console.log(`   Working directory: ${options.projectDir}`);
+
+    // The prompt is read from stdin, so a prompt starting with "-" is never taken for a flag
+    const child = spawn(options.claudeCommand, args, {
+        cwd: options.projectDir,
+        stdio: ['pipe', 'ignore', 'pipe']
+    });
+    child.stdin.on('error', () => {});
+    child.stdin.end(toUtf8Bytes(prompt));
+
+    let stderr = '';
+    let settled = false;
+
+    child.stderr.on('data', (data) => {
+        stderr += data.toString();
+    });
+
+    child.on('spawn', () => {
+        settled = true;
+        runningChildren.add(child);
+        console.log(`   Success: Headless Claude running (PID: ${child.pid})`);
+        callback(true);
+    });
+
+    child.on('error', (error) => {
+        console.log(`   Error: ${error.message}`);
+        if (!settled) {
+            settled = true;
+            callback(false, `Headless Claude error: ${error.message}`);
+        }
+    });
+
+    child.on('exit', (code) => {
+        runningChildren.delete(child);
+        if (code === 0) {
+            console.log(`🤖 Headless Claude (PID: ${child.pid}) finished`);
+        } else {
+            console.error(`❌ Headless Claude (PID: ${child.pid}) exited with code ${code}: ${stderr.trim()}`);
+        }
+    });
+}
+
+// execFile with `input` written to the child's stdin
+function runWithInput(command, args, input, callback) {
+    const child = execFile(command, args, callback);
+    child.stdin.on('error', () => {});
+    child.stdin.end(input);
+}
+
+module.exports = {
+    createDeliveryBackend
+};
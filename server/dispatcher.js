@@ -0,0 +1,77 @@
+const { isClientMessageKind, messageKind, protocolError, validateClientMessage, validateServerMessage } = require('./protocol');
+
+// The one place incoming messages are routed, whichever transport they arrived on.
+// Transports hand over connections ({ id, transport, send, isOpen, close }) and raw
+// text; every message is checked against the protocol before it reaches its route.
+function createDispatcher({ routes, publicKinds, authorize, onUnauthorized, onOpen, onClose }) {
+    function connectionOpened(connection) {
+        console.log(`📱 Client connected via ${connection.transport} (${connection.id})`);
+
+        // Outgoing messages are checked too, so a server-side mistake shows up in the
+        // console instead of as a crash in the app
+        const send = connection.send;
+        connection.send = (message) => {
+            const errors = validateServerMessage(message.type, message);
+            if (errors) {
+                console.error(`⚠️ Sending ${message.type} that violates the protocol: ${errors.join('; ')}`);
+            }
+            send(message);
+        };
+
+        onOpen(connection);
+    }
+
+    function rawMessageReceived(connection, text) {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (error) {
+            console.error(`❌ Invalid JSON from ${connection.id}: ${error.message} Line: ${text}`);
+            connection.send(protocolError('invalid_json', `Message is not valid JSON: ${error.message}`, null));
+            return;
+        }
+
+        messageReceived(connection, message);
+    }
+
+    function messageReceived(connection, message) {
+        const kind = messageKind(message);
+
+        if (!isClientMessageKind(kind)) {
+            console.error(`❌ Unknown message type from ${connection.id}: ${JSON.stringify(message && message.type)}`);
+            connection.send(protocolError('unknown_type', `Unknown message type: ${JSON.stringify(message && message.type)}`, message));
+            return;
+        }
+
+        const errors = validateClientMessage(kind, message);
+        if (errors) {
+            console.error(`❌ Invalid ${kind} message from ${connection.id}: ${errors.join('; ')}`);
+            connection.send(protocolError('invalid_message', `Invalid ${kind} message`, message, errors));
+            return;
+        }
+
+        if (!publicKinds.includes(kind) && !authorize(connection, message)) {
+            onUnauthorized(connection, message);
+            return;
+        }
+
+        try {
+            routes[kind](connection, message);
+        } catch (error) {
+            // Without a reply the client would wait for an answer that never comes
+            console.error(`❌ Failed to handle ${kind} message from ${connection.id}:`, error);
+            connection.send(protocolError('internal_error', `The server failed to handle this ${kind} message: ${error.message}`, message));
+        }
+    }
+
+    function connectionClosed(connection) {
+        console.log(`📱 Client disconnected (${connection.id})`);
+        onClose(connection);
+    }
+
+    return { connectionOpened, rawMessageReceived, connectionClosed };
+}
+
+module.exports = {
+    createDispatcher
+};
@@ -0,0 +1,218 @@
+const { messageKind } = require('./protocol');
+
+// Points in a voice round trip, matched against log messages in this order. The
+// latency of a step runs from the last occurrence of `from` to the next `to`, so
+// speech that never became a prompt does not count.
+const DEFAULT_MILESTONES = [
+    { name: 'speech_stopped', message: 'Voice activity detection stopped' },
+    { name: 'prompt_injected', message: 'Prompt successfully injected into terminal' },
+    { name: 'claude_reply', message: '🤖 Claude:' }
+];
+
+const CSV_COLUMNS = ['session', 'id', 'timestamp', 'type', 'fileName', 'functionName', 'message'];
+const RELATIVE_TIME = /^(\d+)([smhd])$/;
+const UNIT_MS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// "5", "3-7", "10-", "-4" or a comma separated list of those
+function parseSessionRanges(text) {
+    return text.split(',').map(part => {
+        const match = /^\s*(\d*)\s*(-?)\s*(\d*)\s*$/.exec(part);
+        if (!match || (!match[1] && !match[3])) {
+            throw new Error(`Invalid session range "${part}" - use e.g. 5, 3-7, 10- or -4`);
+        }
+        const from = match[1] ? parseInt(match[1], 10) : 1;
+        const to = match[3] ? parseInt(match[3], 10) : (match[2] ? Infinity : from);
+        return { from, to };
+    });
+}
+
+// An ISO date (or anything Date understands), or a relative "30m", "2h", "7d" ago
+function parseTime(text, now = Date.now()) {
+    const relative = RELATIVE_TIME.exec(text);
+    if (relative) return now - parseInt(relative[1], 10) * UNIT_MS[relative[2]];
+
+    const time = Date.parse(text);
+    if (isNaN(time)) {
+        throw new Error(`Invalid time "${text}" - use an ISO date or e.g. 30m, 2h, 7d`);
+    }
+    return time;
+}
+
+// filters: { sessions: [{from, to}], since, until (ms), type, fileName, functionName (substrings), pattern (RegExp) }
+function createLogFilter(filters) {
+    function includesSession(sessionNumber) {
+        return !filters.sessions || filters.sessions.some(range => sessionNumber >= range.from && sessionNumber <= range.to);
+    }
+
+    function matches(logData) {
+        if (filters.type && messageKind(logData) !== filters.type) return false;
+        if (filters.fileName && !String(logData.fileName || '').includes(filters.fileName)) return false;
+        if (filters.functionName && !String(logData.functionName || '').includes(filters.functionName)) return false;
+        if (filters.pattern && !filters.pattern.test(String(logData.message || ''))) return false;
+
+        if (filters.since !== undefined || filters.until !== undefined) {
+            const time = Date.parse(logData.timestamp);
+            if (isNaN(time)) return false;
+            if (filters.since !== undefined && time < filters.since) return false;
+            if (filters.until !== undefined && time > filters.until) return false;
+        }
+        return true;
+    }
+
+    return { includesSession, matches };
+}
+
+// [{ number, logs }] for every stored session the filter includes, oldest first.
+// Sessions without a matching log are left out.
+function querySessions(logStore, filter) {
+    return logStore.listSessions()
+        .filter(stored => filter.includesSession(stored.number))
+        .map(stored => ({
+            number: stored.number,
+            logs: parseLogLines(logStore.readSession(stored.number) || '').filter(filter.matches)
+        }))
+        .filter(session => session.logs.length > 0);
+}
+
+function parseLogLines(content) {
+    return content.split('\n')
+        .filter(line => line.trim())
+        .flatMap(line => {
+            try {
+                return [JSON.parse(line)];
+            } catch (error) {
+                return [];
+            }
+        });
+}
+
+// One entry per step between consecutive milestones: { from, to, samples (ms) }
+function milestoneLatencies(logs, milestones = DEFAULT_MILESTONES) {
+    return milestones.slice(1).map((to, index) => {
+        const from = milestones[index];
+        const samples = [];
+        let startedAt = null;
+
+        logs.forEach(logData => {
+            const message = String(logData.message || '');
+            const time = Date.parse(logData.timestamp);
+            if (isNaN(time)) return;
+
+            if (message.includes(from.message)) {
+                startedAt = time;
+            } else if (startedAt !== null && message.includes(to.message)) {
+                samples.push(time - startedAt);
+                startedAt = null;
+            }
+        });
+
+        return { from: from.name, to: to.name, samples, ...summarize(samples) };
+    });
+}
+
+function summarize(samples) {
+    if (samples.length === 0) {
+        return { count: 0, min: null, median: null, max: null, average: null };
+    }
+    const sorted = samples.slice().sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return {
+        count: sorted.length,
+        min: sorted[0],
+        median: sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2),
+        max: sorted[sorted.length - 1],
+        average: Math.round(sorted.reduce((sum, sample) => sum + sample, 0) / sorted.length)
+    };
+}
+
+function toJsonl(sessions) {
+    return sessions
+        .flatMap(session => session.logs.map(logData => JSON.stringify({ session: session.number, ...logData }) + '\n'))
+        .join('');
+}
+
+function toCsv(sessions) {
+    const rows = sessions.flatMap(session => session.logs.map(logData => [
+        session.number,
+        logData.id,
+        logData.timestamp,
+        messageKind(logData),
+        logData.fileName,
+        logData.functionName,
+        logData.message
+    ]));
+    return [CSV_COLUMNS, ...rows].map(row => row.map(csvField).join(',')).join('\n') + '\n';
+}
+
+function csvField(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// A standalone page: per session its milestone latencies, then every log with the
+// time since the session's first log
+function toHtmlTimeline(sessions, milestones = DEFAULT_MILESTONES) {
+    const sections = sessions.map(session => {
+        const startedAt = Date.parse(session.logs[0].timestamp);
+        const latencies = milestoneLatencies(session.logs, milestones)
+            .map(step => `<li>${escapeHtml(step.from)} → ${escapeHtml(step.to)}: ${formatStep(step)}</li>`)
+            .join('');
+        const rows = session.logs.map(logData => {
+            const offset = Date.parse(logData.timestamp) - startedAt;
+            const kind = messageKind(logData);
+            return `<tr class="${kind === 'error' ? 'error' : ''}">` +
+                `<td>${isNaN(offset) ? '' : `+${(offset / 1000).toFixed(3)}s`}</td>` +
+                `<td>${escapeHtml(logData.timestamp)}</td>` +
+                `<td>${escapeHtml(kind)}</td>` +
+                `<td>${escapeHtml(`${logData.fileName}:${logData.functionName}`)}</td>` +
+                `<td class="message">${escapeHtml(logData.message)}</td></tr>`;
+        }).join('\n');
+
+        return `<section>\n<h2>Session ${session.number}</h2>\n<ul>${latencies}</ul>\n<table>\n${rows}\n</table>\n</section>`;
+    });
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Session timeline</title>
+<style>
+    body { font: 13px -apple-system, BlinkMacSystemFont, sans-serif; margin: 20px; color: #1d1d1f; }
+    table { border-collapse: collapse; width: 100%; }
+    td { padding: 2px 6px; border-bottom: 1px solid #eee; vertical-align: top; white-space: nowrap; }
+    td.message { white-space: pre-wrap; font-family: ui-monospace, Menlo, monospace; }
+    tr.error { color: #c00; }
+</style>
+</head>
+<body>
+${sections.join('\n')}
+</body>
+</html>
+`;
+}
+
+function formatStep(step) {
+    if (step.count === 0) return 'no samples';
+    return `${step.count}× median ${step.median}ms, average ${step.average}ms (min ${step.min}ms, max ${step.max}ms)`;
+}
+
+function escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+module.exports = {
+    DEFAULT_MILESTONES,
+    parseSessionRanges,
+    parseTime,
+    createLogFilter,
+    querySessions,
+    milestoneLatencies,
+    formatStep,
+    toJsonl,
+    toCsv,
+    toHtmlTimeline
+};
@@ -0,0 +1,155 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const SESSION_FILE = /^(\d+)\.json(\.gz)?$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Session logs in `logsDir`: <n>.json while recent, <n>.json.gz once older. Session
+// numbers come from a counter kept in `counterFile`, so deleting or compressing old
+// sessions never makes a number come around again.
+//
+// retention: { maxAgeDays, maxSessions, maxBytes } - 0 switches a limit off
+function createLogStore({ logsDir, counterFile, keepUncompressed, retention }) {
+    function nextSessionNumber() {
+        const sessionNumber = lastSessionNumber() + 1;
+        writeCounter(sessionNumber);
+        return sessionNumber;
+    }
+
+    // Without a counter file (first start, or logs from before it existed) numbering
+    // continues after the highest session on disk
+    function lastSessionNumber() {
+        const highestOnDisk = Math.max(0, ...listSessions().map(session => session.number));
+        if (!fs.existsSync(counterFile)) return highestOnDisk;
+
+        const counter = JSON.parse(fs.readFileSync(counterFile, 'utf8'));
+        return Math.max(counter.lastSessionNumber || 0, highestOnDisk);
+    }
+
+    function writeCounter(sessionNumber) {
+        fs.mkdirSync(path.dirname(counterFile), { recursive: true });
+        const temporaryFile = `${counterFile}.tmp`;
+        fs.writeFileSync(temporaryFile, JSON.stringify({ lastSessionNumber: sessionNumber }, null, 2) + '\n');
+        fs.renameSync(temporaryFile, counterFile);
+    }
+
+    function sessionPath(sessionNumber) {
+        return path.join(logsDir, `${sessionNumber}.json`);
+    }
+
+    // Oldest first. `size` is the uncompressed size, also for compressed sessions.
+    function listSessions() {
+        if (!fs.existsSync(logsDir)) return [];
+
+        const sessions = new Map();
+        fs.readdirSync(logsDir).forEach(file => {
+            const match = SESSION_FILE.exec(file);
+            if (!match) return;
+
+            const number = parseInt(match[1], 10);
+            const compressed = Boolean(match[2]);
+            // A plain file next to a compressed one is a compression that did not finish
+            if (sessions.has(number) && !compressed) return;
+
+            const filePath = path.join(logsDir, file);
+            const stats = fs.statSync(filePath);
+            sessions.set(number, {
+                number: number,
+                file: filePath,
+                compressed: compressed,
+                size: compressed ? gzipUncompressedSize(filePath) : stats.size,
+                diskSize: stats.size,
+                modifiedAt: stats.mtime
+            });
+        });
+
+        return [...sessions.values()].sort((a, b) => a.number - b.number);
+    }
+
+    function readSession(sessionNumber) {
+        const session = listSessions().find(candidate => candidate.number === sessionNumber);
+        if (!session) return null;
+
+        const content = fs.readFileSync(session.file);
+        return (session.compressed ? zlib.gunzipSync(content) : content).toString('utf8');
+    }
+
+    // Compresses all but the newest `keepUncompressed` sessions, then applies retention.
+    // The active session is never touched.
+    function maintain(activeSessionNumber) {
+        const report = { compressed: [], deleted: [] };
+        const sessions = listSessions().filter(session => session.number !== activeSessionNumber);
+
+        sessions.slice(0, Math.max(sessions.length - keepUncompressed, 0))
+            .filter(session => !session.compressed)
+            .forEach(session => {
+                compress(session);
+                report.compressed.push(session.number);
+            });
+
+        sessionsPastRetention(listSessions().filter(session => session.number !== activeSessionNumber))
+            .forEach(session => {
+                fs.unlinkSync(session.file);
+                report.deleted.push(session.number);
+            });
+
+        return report;
+    }
+
+    function compress(session) {
+        const compressedFile = `${session.file}.gz`;
+        const temporaryFile = `${compressedFile}.tmp`;
+        fs.writeFileSync(temporaryFile, zlib.gzipSync(fs.readFileSync(session.file)));
+        fs.utimesSync(temporaryFile, session.modifiedAt, session.modifiedAt);
+        fs.renameSync(temporaryFile, compressedFile);
+        fs.unlinkSync(session.file);
+    }
+
+    // Oldest sessions go first, until every configured limit holds
+    function sessionsPastRetention(sessions) {
+        const expired = new Set();
+
+        if (retention.maxAgeDays > 0) {
+            const cutoff = Date.now() - retention.maxAgeDays * DAY_MS;
+            sessions.filter(session => session.modifiedAt.getTime() < cutoff).forEach(session => expired.add(session));
+        }
+
+        let remaining = sessions.filter(session => !expired.has(session));
+        if (retention.maxSessions > 0 && remaining.length > retention.maxSessions) {
+            remaining.slice(0, remaining.length - retention.maxSessions).forEach(session => expired.add(session));
+            remaining = remaining.slice(remaining.length - retention.maxSessions);
+        }
+
+        if (retention.maxBytes > 0) {
+            let totalBytes = remaining.reduce((sum, session) => sum + session.diskSize, 0);
+            for (const session of remaining) {
+                if (totalBytes <= retention.maxBytes) break;
+                expired.add(session);
+                totalBytes -= session.diskSize;
+            }
+        }
+
+        return sessions.filter(session => expired.has(session));
+    }
+
+    return { nextSessionNumber, lastSessionNumber, sessionPath, listSessions, readSession, maintain };
+}
+
+// gzip keeps the uncompressed length (mod 2^32) in its last four bytes
+function gzipUncompressedSize(filePath) {
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        const size = fs.fstatSync(fd).size;
+        if (size < 4) return 0;
+        const trailer = Buffer.alloc(4);
+        fs.readSync(fd, trailer, 0, 4, size - 4);
+        return trailer.readUInt32LE(0);
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+module.exports = {
+    createLogStore
+};
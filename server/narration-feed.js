@@ -0,0 +1,83 @@
+const fs = require('fs');
+const path = require('path');
+
+const HISTORY_LIMIT = 500;
+const SEQ_BLOCK = 1000;
+
+// Numbers conversation events and hands them to the current client exactly once,
+// holding them while no client is connected.
+//
+// Seqs keep growing across restarts, so the lastNarrationSeq of a client that was
+// connected before a restart can never hide events numbered after it. Rather than
+// writing `seqFile` for every event, SEQ_BLOCK numbers are reserved at a time; after a
+// crash the rest of that block is skipped.
+function createNarrationFeed({ seqFile }) {
+    const history = [];
+    let reservedUpTo = loadReservedSeq(seqFile);
+    let nextSeq = reservedUpTo + 1;
+    let lastDeliveredSeq = reservedUpTo;
+    let client = null;
+
+    function publish(event) {
+        if (nextSeq > reservedUpTo) {
+            reservedUpTo = nextSeq - 1 + SEQ_BLOCK;
+            saveReservedSeq(seqFile, reservedUpTo);
+        }
+        history.push({ ...event, seq: nextSeq++ });
+        if (history.length > HISTORY_LIMIT) {
+            history.shift();
+        }
+        flush();
+    }
+
+    // A client that reports the last seq it received gets everything after it;
+    // otherwise it continues where the previous connection stopped.
+    function attach(connection, lastReceivedSeq) {
+        client = connection;
+        if (Number.isInteger(lastReceivedSeq)) {
+            lastDeliveredSeq = Math.min(lastReceivedSeq, nextSeq - 1);
+        }
+        flush();
+    }
+
+    function detach(connection) {
+        if (client === connection) {
+            client = null;
+        }
+    }
+
+    function flush() {
+        if (!client || !client.isOpen()) return;
+
+        history
+            .filter(event => event.seq > lastDeliveredSeq)
+            .forEach(event => {
+                client.send(event);
+                lastDeliveredSeq = event.seq;
+            });
+    }
+
+    return { publish, attach, detach };
+}
+
+function loadReservedSeq(seqFile) {
+    if (!fs.existsSync(seqFile)) return 0;
+    try {
+        const { reservedUpTo } = JSON.parse(fs.readFileSync(seqFile, 'utf8'));
+        return Number.isInteger(reservedUpTo) && reservedUpTo >= 0 ? reservedUpTo : 0;
+    } catch (error) {
+        console.error(`❌ Unreadable narration seq file ${seqFile}: ${error.message} - numbering from 1`);
+        return 0;
+    }
+}
+
+function saveReservedSeq(seqFile, reservedUpTo) {
+    fs.mkdirSync(path.dirname(seqFile), { recursive: true });
+    const temporaryFile = `${seqFile}.tmp`;
+    fs.writeFileSync(temporaryFile, JSON.stringify({ reservedUpTo }) + '\n');
+    fs.renameSync(temporaryFile, seqFile);
+}
+
+module.exports = {
+    createNarrationFeed
+};
@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Paired devices live in a JSON file so that `mac-server.js devices revoke` takes effect
+// in a running server immediately. Only a hash of each device token is stored.
+function createDeviceRegistry(devicesFile) {
+    let pairedIds = { mtimeMs: null, ids: new Set() };
+
+    function load() {
+        if (!fs.existsSync(devicesFile)) return [];
+        return JSON.parse(fs.readFileSync(devicesFile, 'utf8')).devices || [];
+    }
+
+    function save(devices) {
+        fs.mkdirSync(path.dirname(devicesFile), { recursive: true });
+        fs.writeFileSync(devicesFile, JSON.stringify({ devices }, null, 2) + '\n', { mode: 0o600 });
+    }
+
+    function add(name) {
+        const token = crypto.randomBytes(32).toString('hex');
+        const device = {
+            id: crypto.randomBytes(4).toString('hex'),
+            name: name || 'Unnamed device',
+            tokenHash: hashToken(token),
+            pairedAt: new Date().toISOString(),
+            lastSeenAt: null
+        };
+        save([...load(), device]);
+        return { device, token };
+    }
+
+    function verify(token) {
+        if (typeof token !== 'string' || !token) return null;
+
+        const devices = load();
+        const tokenHash = hashToken(token);
+        const device = devices.find(d => safeEqual(d.tokenHash, tokenHash));
+        if (!device) return null;
+
+        device.lastSeenAt = new Date().toISOString();
+        save(devices);
+        return device;
+    }
+
+    // Whether device `id` is still paired. This runs for every message on an authenticated
+    // connection, so the file is only read again after it changed.
+    function isPaired(id) {
+        let mtimeMs;
+        try {
+            mtimeMs = fs.statSync(devicesFile).mtimeMs;
+        } catch (error) {
+            return false;
+        }
+        if (mtimeMs !== pairedIds.mtimeMs) {
+            pairedIds = { mtimeMs, ids: new Set(load().map(d => d.id)) };
+        }
+        return pairedIds.ids.has(id);
+    }
+
+    function revoke(id) {
+        const devices = load();
+        const remaining = devices.filter(d => d.id !== id);
+        if (remaining.length === devices.length) return false;
+        save(remaining);
+        return true;
+    }
+
+    return { list: load, add, verify, isPaired, revoke };
+}
+
+// One code at a time. It is replaced after a successful pairing, after too many wrong
+// guesses and when it expires; onNewCode is called with every fresh code.
+//
+// Replacing the code alone would let a client keep guessing forever, so wrong guesses
+// are also counted per remote address and in total, however often the code changed.
+// After `maxAttempts` wrong guesses from one address, or `globalMaxAttempts` from
+// anywhere, pairing is locked for that address (or for everyone) for `lockoutBaseMs`,
+// doubling with every further lockout up to `lockoutMaxMs`.
+function createPairingCodes({ ttlSeconds, maxAttempts, globalMaxAttempts, lockoutBaseMs, lockoutMaxMs, onNewCode }) {
+    let code = null;
+    let expiresAt = 0;
+    let failedAttempts = 0;
+    let expiryTimer = null;
+    const addressFailures = new Map();
+    const globalFailures = newFailureRecord();
+
+    function rotate() {
+        code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+        expiresAt = Date.now() + ttlSeconds * 1000;
+        failedAttempts = 0;
+
+        clearTimeout(expiryTimer);
+        expiryTimer = setTimeout(rotate, ttlSeconds * 1000);
+        expiryTimer.unref();
+
+        onNewCode(code, expiresAt);
+    }
+
+    // { paired, retryAfterMs }: retryAfterMs is set while `remoteAddress` is locked out,
+    // and then the candidate is not even compared
+    function consume(candidate, remoteAddress, now = Date.now()) {
+        const addressRecord = addressFailures.get(remoteAddress) || newFailureRecord();
+        const lockedUntil = Math.max(addressRecord.lockedUntil, globalFailures.lockedUntil);
+        if (lockedUntil > now) {
+            return { paired: false, retryAfterMs: lockedUntil - now };
+        }
+
+        if (now > expiresAt) {
+            rotate();
+            return { paired: false, retryAfterMs: 0 };
+        }
+
+        if (typeof candidate === 'string' && safeEqual(candidate, code)) {
+            rotate();
+            addressFailures.delete(remoteAddress);
+            globalFailures.failures = 0;
+            return { paired: true, retryAfterMs: 0 };
+        }
+
+        failedAttempts++;
+        if (failedAttempts >= maxAttempts) {
+            console.log(`🔐 ${failedAttempts} wrong pairing codes - issuing a new one`);
+            rotate();
+        }
+
+        forgetStaleAddresses(now);
+        addressFailures.set(remoteAddress, addressRecord);
+        if (recordFailure(addressRecord, maxAttempts, now)) {
+            console.log(`🔐 Too many wrong pairing codes from ${remoteAddress} - locked for ${Math.round((addressRecord.lockedUntil - now) / 1000)}s`);
+        }
+        if (recordFailure(globalFailures, globalMaxAttempts, now)) {
+            console.log(`🔐 Too many wrong pairing codes overall - pairing locked for ${Math.round((globalFailures.lockedUntil - now) / 1000)}s`);
+        }
+
+        const retryAfter = Math.max(addressRecord.lockedUntil, globalFailures.lockedUntil) - now;
+        return { paired: false, retryAfterMs: Math.max(retryAfter, 0) };
+    }
+
+    // Counts a wrong guess; true if it started a lockout
+    function recordFailure(record, limit, now) {
+        record.failures++;
+        record.lastFailureAt = now;
+        if (record.failures < limit) return false;
+
+        record.failures = 0;
+        record.lockouts++;
+        record.lockedUntil = now + Math.min(lockoutBaseMs * 2 ** (record.lockouts - 1), lockoutMaxMs);
+        return true;
+    }
+
+    // An address that has not guessed wrong for the longest lockout starts over
+    function forgetStaleAddresses(now) {
+        addressFailures.forEach((record, address) => {
+            if (now - record.lastFailureAt > lockoutMaxMs && record.lockedUntil <= now) {
+                addressFailures.delete(address);
+            }
+        });
+    }
+
+    rotate();
+
+    return { consume, rotate };
+}
+
+function newFailureRecord() {
+    return { failures: 0, lockouts: 0, lockedUntil: 0, lastFailureAt: 0 };
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Constant-time comparison; `a` may come from a file and need not be a string
+function safeEqual(a, b) {
+    const bufferA = Buffer.from(String(a));
+    const bufferB = Buffer.from(b);
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+module.exports = {
+    createDeviceRegistry,
+    createPairingCodes,
+    hashToken,
+    safeEqual
+};
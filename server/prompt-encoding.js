@@ -0,0 +1,41 @@
+// Prompts reach Claude exactly as they were spoken or typed, so nothing is stripped;
+// instead each backend gets the text in a form its transport cannot misread.
+
+const APPLESCRIPT_ESCAPES = {
+    '\\': '\\\\',
+    '"': '\\"',
+    '\n': '\\n',
+    '\r': '\\r',
+    '\t': '\\t'
+};
+
+// AppleScript expression that evaluates to `text`. The script itself stays pure ASCII:
+// printable ASCII goes into string literals, everything else (unicode, control
+// characters) is spelled out as code points, so no source encoding can garble it.
+function toAppleScriptText(text) {
+    const parts = [];
+    const pattern = /[\x20-\x7e\n\r\t]+|[^\x20-\x7e\n\r\t]+/gu;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+        const run = match[0];
+        if (/^[\x20-\x7e\n\r\t]/.test(run)) {
+            parts.push(`"${run.replace(/[\\"\n\r\t]/g, c => APPLESCRIPT_ESCAPES[c])}"`);
+        } else {
+            parts.push(`(character id {${Array.from(run, c => c.codePointAt(0)).join(', ')}})`);
+        }
+    }
+
+    if (parts.length === 0) return '""';
+    return parts.join(' & ');
+}
+
+// The bytes handed to tmux and headless Claude over stdin; both take them verbatim
+function toUtf8Bytes(text) {
+    return Buffer.from(text, 'utf8');
+}
+
+module.exports = {
+    toAppleScriptText,
+    toUtf8Bytes
+};
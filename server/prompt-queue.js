@@ -0,0 +1,269 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const FINISHED_STATES = ['done', 'failed'];
+const FINISHED_RETENTION_MS = 24 * 60 * 60 * 1000;
+const FINISHED_LIMIT = 200;
+
+// Durable FIFO of prompts. One prompt is handed to `deliver` at a time, and only while
+// Claude is idle; a prompt stays in flight until Claude's turn for it ends.
+//
+// States: queued -> delivering -> in_progress -> done
+//                       \-> retry_wait -> delivering ... -> failed
+//
+// deliver(entry, callback) calls back with null once Claude has seen the prompt, or
+// with an error. onChange(entry) is called after every state change.
+function createPromptQueue({ file, maxAttempts, retryBaseMs, retryMaxMs, staleBusyMs, deliver, onChange }) {
+    let entries = load();
+    let inFlightId = null;
+    let claudeBusy = false;
+    let lastActivityAt = 0;
+    let wakeTimer = null;
+    // Set by stop(); once called back it stays set, so nothing is delivered any more
+    let stopping = null;
+
+    recoverInterruptedEntries();
+
+    // An unreadable queue file is moved aside, not overwritten, so its prompts can
+    // still be recovered by hand
+    function load() {
+        if (!fs.existsSync(file)) return [];
+        try {
+            const { prompts } = JSON.parse(fs.readFileSync(file, 'utf8'));
+            if (prompts !== undefined && !Array.isArray(prompts)) throw new Error('prompts is not a list');
+            return prompts || [];
+        } catch (error) {
+            const asideFile = `${file}.corrupt-${Date.now()}`;
+            fs.renameSync(file, asideFile);
+            console.error(`❌ Unreadable prompt queue ${file}: ${error.message} - moved to ${asideFile}, starting empty`);
+            return [];
+        }
+    }
+
+    function save() {
+        pruneFinished();
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        const temporaryFile = `${file}.tmp`;
+        fs.writeFileSync(temporaryFile, JSON.stringify({ prompts: entries }, null, 2) + '\n');
+        fs.renameSync(temporaryFile, file);
+    }
+
+    // A prompt that was being delivered when the server stopped may or may not have
+    // reached Claude; it is tried again. One Claude had already seen counts as done.
+    function recoverInterruptedEntries() {
+        entries.forEach(entry => {
+            if (entry.state === 'delivering') {
+                entry.state = 'queued';
+            } else if (entry.state === 'in_progress') {
+                entry.state = 'done';
+                entry.finishedAt = new Date().toISOString();
+            }
+        });
+        if (entries.length > 0) save();
+    }
+
+    function pruneFinished() {
+        const cutoff = Date.now() - FINISHED_RETENTION_MS;
+        const finished = entries.filter(isFinished);
+        const keep = new Set(finished
+            .filter(entry => new Date(entry.finishedAt).getTime() > cutoff)
+            .slice(-FINISHED_LIMIT));
+        entries = entries.filter(entry => !isFinished(entry) || keep.has(entry));
+    }
+
+    // A client resending after a reconnect repeats its message id, or at least the
+    // prompt text and timestamp it was created with
+    function dedupeKeyFor({ clientId, prompt, timestamp }) {
+        if (clientId) return `id:${clientId}`;
+        return `hash:${crypto.createHash('sha256').update(`${prompt}\n${timestamp}`).digest('hex')}`;
+    }
+
+    function enqueue({ prompt, category, timestamp, clientId }) {
+        const dedupeKey = dedupeKeyFor({ clientId, prompt, timestamp });
+        const existing = entries.find(entry => entry.dedupeKey === dedupeKey);
+        if (existing) {
+            return { entry: existing, duplicate: true };
+        }
+
+        const entry = {
+            id: clientId || crypto.randomUUID(),
+            dedupeKey: dedupeKey,
+            prompt: prompt,
+            category: category,
+            clientTimestamp: timestamp,
+            state: 'queued',
+            attempts: 0,
+            nextAttemptAt: null,
+            lastError: null,
+            createdAt: new Date().toISOString(),
+            finishedAt: null
+        };
+        entries.push(entry);
+        save();
+        // Deferred so the caller can note who the entry belongs to before hearing about it
+        process.nextTick(() => {
+            onChange(entry);
+            pump();
+        });
+        return { entry, duplicate: false };
+    }
+
+    function pump() {
+        clearTimeout(wakeTimer);
+        wakeTimer = null;
+
+        if (stopping) {
+            finishStopping();
+            return;
+        }
+
+        if (inFlightId) return;
+
+        if (claudeBusy) {
+            const busyFor = Date.now() - lastActivityAt;
+            if (busyFor < staleBusyMs) {
+                scheduleWake(staleBusyMs - busyFor);
+                return;
+            }
+            console.log(`⏱️ No Claude activity for ${Math.round(busyFor / 1000)}s - treating Claude as idle`);
+            claudeBusy = false;
+        }
+
+        const now = Date.now();
+        const next = entries.find(entry => entry.state === 'queued' ||
+            (entry.state === 'retry_wait' && entry.nextAttemptAt <= now));
+
+        if (!next) {
+            const waiting = entries.filter(entry => entry.state === 'retry_wait');
+            if (waiting.length > 0) {
+                scheduleWake(Math.min(...waiting.map(entry => entry.nextAttemptAt)) - now);
+            }
+            return;
+        }
+
+        startDelivery(next);
+    }
+
+    // Stops handing out prompts and calls back once the prompt being delivered, if any,
+    // was delivered or failed. Everything else stays on file for the next start.
+    function stop(callback) {
+        stopping = callback;
+        pump();
+    }
+
+    function finishStopping() {
+        const delivering = entries.some(entry => entry.id === inFlightId && entry.state === 'delivering');
+        if (delivering) return;
+
+        const callback = stopping;
+        stopping = () => {};
+        save();
+        callback();
+    }
+
+    function scheduleWake(delay) {
+        wakeTimer = setTimeout(pump, Math.max(delay, 0));
+    }
+
+    function startDelivery(entry) {
+        inFlightId = entry.id;
+        entry.state = 'delivering';
+        entry.attempts++;
+        entry.nextAttemptAt = null;
+        save();
+        onChange(entry);
+
+        deliver(entry, (error) => {
+            if (!error) {
+                entry.state = 'in_progress';
+                claudeBusy = true;
+                lastActivityAt = Date.now();
+                save();
+                onChange(entry);
+                // Stays in flight until Claude's turn ends
+                pump();
+                return;
+            }
+
+            inFlightId = null;
+            entry.lastError = error.message;
+
+            if (entry.attempts >= maxAttempts) {
+                entry.state = 'failed';
+                entry.finishedAt = new Date().toISOString();
+            } else {
+                entry.state = 'retry_wait';
+                entry.nextAttemptAt = Date.now() + Math.min(retryBaseMs * 2 ** (entry.attempts - 1), retryMaxMs);
+            }
+            save();
+            onChange(entry);
+            pump();
+        });
+    }
+
+    // Fed with every conversation event; turn_done means Claude is idle again
+    function noteClaudeActivity(eventType) {
+        lastActivityAt = Date.now();
+
+        if (eventType !== 'turn_done') {
+            claudeBusy = true;
+            return;
+        }
+
+        claudeBusy = false;
+        const inFlight = entries.find(entry => entry.id === inFlightId);
+        if (inFlight && inFlight.state === 'in_progress') {
+            inFlight.state = 'done';
+            inFlight.finishedAt = new Date().toISOString();
+            inFlightId = null;
+            save();
+            onChange(inFlight);
+        }
+        pump();
+    }
+
+    // Stale-busy detection also finishes an in-progress prompt whose turn_done never came
+    function releaseStaleInFlight() {
+        const inFlight = entries.find(entry => entry.id === inFlightId);
+        if (inFlight && inFlight.state === 'in_progress' && Date.now() - lastActivityAt >= staleBusyMs) {
+            noteClaudeActivity('turn_done');
+        }
+    }
+
+    // 1-based place among the prompts that are not finished, null once finished
+    function positionOf(entry) {
+        if (isFinished(entry)) return null;
+        return entries.filter(e => !isFinished(e)).indexOf(entry) + 1;
+    }
+
+    function pending() {
+        return entries.filter(entry => !isFinished(entry));
+    }
+
+    // Everything still on file, finished prompts included, oldest first
+    function history() {
+        return entries.slice();
+    }
+
+    const staleCheck = setInterval(releaseStaleInFlight, Math.min(staleBusyMs, 30000));
+    staleCheck.unref();
+
+    return {
+        enqueue,
+        noteClaudeActivity,
+        positionOf,
+        pending,
+        history,
+        start: pump,
+        stop
+    };
+}
+
+function isFinished(entry) {
+    return FINISHED_STATES.includes(entry.state);
+}
+
+module.exports = {
+    createPromptQueue
+};
@@ -0,0 +1,167 @@
+const chokidar = require('chokidar');
+const fs = require('fs');
+const path = require('path');
+const { StringDecoder } = require('string_decoder');
+const { fileSize, readRange } = require('./conversation-tailer');
+
+// How far a conversation entry may predate the start of verification and still count
+const CLOCK_SKEW_MS = 1000;
+
+// Watches `conversationDir` for the user entry carrying `prompt` and for Claude's first
+// answer to it. Call before delivering so that only lines written afterwards are checked.
+// onState receives 'seen_by_claude', then 'claude_responding'; 'timeout' if the deadline
+// passes first. Only an entry whose whole text is the prompt counts: "yes" is not seen
+// in another session's "yes, do it". A verification that already saw the prompt never times out. A prompt
+// with nothing but whitespace would match any entry, so it is never seen.
+function startPromptVerification({ conversationDir, prompt, deadlineMs }, onState) {
+    const startedAt = Date.now();
+    const expectedText = normalizeText(prompt);
+    const offsets = snapshotOffsets(conversationDir);
+    const partialLines = new Map();
+    const decoders = new Map();
+    let matchedFile = null;
+    let finished = false;
+
+    const watcher = chokidar.watch(conversationDir, {
+        persistent: true,
+        ignoreInitial: true,
+        depth: 0
+    });
+
+    watcher.on('add', scanFile);
+    watcher.on('change', scanFile);
+    // Lines written while the watcher was starting up produce no events
+    watcher.on('ready', scanAllFiles);
+    watcher.on('error', error => {
+        console.error(`❌ Prompt verification watcher error: ${error.message}`);
+    });
+
+    const deadline = setTimeout(() => {
+        scanAllFiles();
+        if (finished) return;
+        if (matchedFile) {
+            console.log(`⌛ Claude has not started responding within ${deadlineMs}ms`);
+            finish();
+        } else {
+            finish('timeout');
+        }
+    }, deadlineMs);
+
+    function scanAllFiles() {
+        if (!fs.existsSync(conversationDir)) return;
+        fs.readdirSync(conversationDir)
+            .filter(f => f.endsWith('.jsonl'))
+            .forEach(f => scanFile(path.join(conversationDir, f)));
+    }
+
+    function scanFile(filePath) {
+        if (finished || !filePath.endsWith('.jsonl')) return;
+        if (matchedFile && filePath !== matchedFile) return;
+
+        const offset = offsets.get(filePath) || 0;
+        const size = fileSize(filePath);
+        if (size === null || size <= offset) return;
+
+        if (!decoders.has(filePath)) decoders.set(filePath, new StringDecoder('utf8'));
+        const text = (partialLines.get(filePath) || '') + readRange(filePath, offset, size, decoders.get(filePath));
+        offsets.set(filePath, size);
+
+        const lines = text.split('\n');
+        partialLines.set(filePath, lines.pop());
+
+        for (const line of lines) {
+            if (finished) return;
+            checkEntry(filePath, parseEntry(line));
+        }
+    }
+
+    function checkEntry(filePath, entry) {
+        if (!entry || !entry.message) return;
+
+        if (!matchedFile) {
+            const receivedText = entry.type === 'user' ? extractText(entry.message.content) : '';
+            if (entry.type === 'user' && expectedText && isWithinWindow(entry) && normalizeText(receivedText) === expectedText) {
+                matchedFile = filePath;
+                // Found with whitespace normalized, but reported as exact only if not a byte changed
+                onState('seen_by_claude', {
+                    conversationId: path.basename(filePath, '.jsonl'),
+                    exactMatch: receivedText === prompt,
+                    receivedText: receivedText
+                });
+            }
+        } else if (entry.type === 'assistant') {
+            onState('claude_responding', { conversationId: path.basename(filePath, '.jsonl') });
+            finish();
+        }
+    }
+
+    function isWithinWindow(entry) {
+        if (!entry.timestamp) return true;
+        const entryTime = new Date(entry.timestamp).getTime();
+        return entryTime >= startedAt - CLOCK_SKEW_MS && entryTime <= startedAt + deadlineMs;
+    }
+
+    function finish(finalState) {
+        finished = true;
+        clearTimeout(deadline);
+        watcher.close();
+        if (finalState) {
+            onState(finalState, {});
+        }
+    }
+
+    return {
+        cancel: () => {
+            if (!finished) finish();
+        }
+    };
+}
+
+function snapshotOffsets(conversationDir) {
+    const offsets = new Map();
+    if (!fs.existsSync(conversationDir)) {
+        console.log(`📁 Conversation directory doesn't exist yet: ${conversationDir}`);
+        return offsets;
+    }
+
+    fs.readdirSync(conversationDir)
+        .filter(f => f.endsWith('.jsonl'))
+        .forEach(f => {
+            const size = fileSize(path.join(conversationDir, f));
+            if (size !== null) offsets.set(path.join(conversationDir, f), size);
+        });
+    return offsets;
+}
+
+function parseEntry(line) {
+    if (!line.trim()) return null;
+    try {
+        return JSON.parse(line);
+    } catch (e) {
+        return null;
+    }
+}
+
+function extractText(content) {
+    if (typeof content === 'string') return content;
+    if (!Array.isArray(content)) return '';
+    return content
+        .filter(block => block.type === 'text' && typeof block.text === 'string')
+        .map(block => block.text)
+        .join('\n');
+}
+
+function normalizeText(text) {
+    return text.replace(/\s+/g, ' ').trim();
+}
+
+// Only a prompt with some text left after normalizing can be found in the conversation
+function isVerifiablePrompt(prompt) {
+    return normalizeText(prompt) !== '';
+}
+
+module.exports = {
+    startPromptVerification,
+    isVerifiablePrompt,
+    extractText
+};
@@ -0,0 +1,380 @@
+const Ajv = require('ajv');
+
+// Version 1 is what the iOS app has always spoken; clients that send no
+// protocolVersions in `start` are treated as version 1 clients.
+const PROTOCOL_VERSION = 1;
+const SUPPORTED_VERSIONS = [1];
+
+const string = { type: 'string' };
+const nonEmptyString = { type: 'string', minLength: 1 };
+const integer = { type: 'integer' };
+const number = { type: 'number' };
+const nullableString = { type: ['string', 'null'] };
+const optionalId = { type: 'string' };
+
+function message(type, required, properties) {
+    return {
+        type: 'object',
+        required: ['type', ...required],
+        additionalProperties: false,
+        properties: { type: { const: type }, ...properties }
+    };
+}
+
+function object(required, properties) {
+    return { type: 'object', required, additionalProperties: false, properties };
+}
+
+// Logs and errors carry the Swift enum encoding of LogType: {"type":{"log":{}}}
+function logEntry(kind) {
+    return {
+        type: 'object',
+        required: ['type', 'id', 'timestamp', 'fileName', 'functionName', 'message'],
+        additionalProperties: false,
+        properties: {
+            type: {
+                type: 'object',
+                required: [kind],
+                additionalProperties: false,
+                properties: { [kind]: { type: 'object' } }
+            },
+            id: nonEmptyString,
+            timestamp: string,
+            fileName: string,
+            functionName: string,
+            message: string
+        }
+    };
+}
+
+const CLIENT_MESSAGES = {
+    start: message('start', [], {
+        id: optionalId,
+        deviceToken: string,
+        protocolVersions: { type: 'array', minItems: 1, items: { type: 'integer', minimum: 1 } },
+        resumeToken: string,
+        lastNarrationSeq: { type: 'integer', minimum: 0 }
+    }),
+    pair: message('pair', ['code'], {
+        id: optionalId,
+        code: string,
+        deviceName: string
+    }),
+    prompt: message('prompt', ['prompt'], {
+        id: optionalId,
+        deviceToken: string,
+        prompt: nonEmptyString,
+        category: string,
+        target: string,
+        timestamp: number
+    }),
+    interrupt: message('interrupt', [], {
+        id: optionalId,
+        deviceToken: string,
+        target: string
+    }),
+    approve: message('approve', [], {
+        id: optionalId,
+        deviceToken: string,
+        target: string,
+        toolUseId: string
+    }),
+    deny: message('deny', [], {
+        id: optionalId,
+        deviceToken: string,
+        target: string,
+        toolUseId: string
+    }),
+    select_option: message('select_option', ['option'], {
+        id: optionalId,
+        deviceToken: string,
+        target: string,
+        toolUseId: string,
+        option: { type: 'integer', minimum: 1, maximum: 9 }
+    }),
+    list_conversations: message('list_conversations', [], {
+        id: optionalId,
+        deviceToken: string,
+        target: string,
+        limit: { type: 'integer', minimum: 1, maximum: 100 }
+    }),
+    get_transcript: message('get_transcript', ['conversationId'], {
+        id: optionalId,
+        deviceToken: string,
+        target: string,
+        conversationId: nonEmptyString,
+        offset: { type: 'integer', minimum: 0 },
+        limit: { type: 'integer', minimum: 1, maximum: 200 }
+    }),
+    search_conversations: message('search_conversations', ['query'], {
+        id: optionalId,
+        deviceToken: string,
+        target: string,
+        query: nonEmptyString,
+        limit: { type: 'integer', minimum: 1, maximum: 100 }
+    }),
+    resume_conversation: message('resume_conversation', ['conversationId'], {
+        id: optionalId,
+        deviceToken: string,
+        target: string,
+        conversationId: nonEmptyString
+    }),
+    log: logEntry('log'),
+    error: logEntry('error')
+};
+
+const conversationSummary = {
+    conversationId: string,
+    title: string,
+    startedAt: string,
+    updatedAt: string,
+    messageCount: integer,
+    lastAssistantMessage: nullableString
+};
+
+const SERVER_MESSAGES = {
+    handshake: message('handshake', ['sessionNumber', 'protocolVersion'], {
+        protocolVersion: integer,
+        sessionNumber: integer,
+        totalUptime: { type: ['number', 'null'] },
+        todayUptime: { type: ['number', 'null'] },
+        totalLogs: integer,
+        clientSecret: string,
+        clientSecretExpiresAt: number,
+        credentialsError: string,
+        resumeToken: string,
+        resumed: { type: 'boolean' },
+        lastAckedLogId: nullableString,
+        targets: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['name', 'categories', 'backend'],
+                additionalProperties: false,
+                properties: {
+                    name: string,
+                    categories: { type: 'array', items: string },
+                    backend: string
+                }
+            }
+        },
+        defaultTarget: string
+    }),
+    credentials: message('credentials', ['clientSecret', 'clientSecretExpiresAt'], {
+        clientSecret: string,
+        clientSecretExpiresAt: number
+    }),
+    ack: message('ack', [], {
+        logId: string
+    }),
+    prompt_ack: message('prompt_ack', ['status', 'originalPrompt', 'timestamp'], {
+        promptId: string,
+        target: string,
+        status: { enum: ['progress', 'success', 'error'] },
+        state: { enum: ['delivered', 'seen_by_claude', 'claude_responding'] },
+        method: string,
+        conversationId: string,
+        exactMatch: { type: 'boolean' },
+        originalPrompt: string,
+        error: string,
+        timestamp: number
+    }),
+    queue_status: message('queue_status', ['promptId', 'state', 'position', 'queueLength', 'attempts'], {
+        promptId: string,
+        target: string,
+        state: { enum: ['queued', 'delivering', 'retry_wait', 'in_progress', 'done', 'failed'] },
+        position: { type: ['integer', 'null'] },
+        queueLength: integer,
+        attempts: integer,
+        nextAttemptAt: number,
+        error: string,
+        originalPrompt: string
+    }),
+    paired: message('paired', ['deviceId', 'deviceToken'], {
+        deviceId: string,
+        deviceToken: string
+    }),
+    auth_error: message('auth_error', ['code', 'message'], {
+        code: string,
+        message: string,
+        rejectedType: string,
+        rejectedId: string
+    }),
+    assistant_message: message('assistant_message', ['seq', 'conversationId', 'text'], {
+        seq: integer,
+        target: string,
+        conversationId: string,
+        entryId: string,
+        text: string,
+        timestamp: string
+    }),
+    tool_event: message('tool_event', ['seq', 'conversationId', 'phase'], {
+        seq: integer,
+        target: string,
+        conversationId: string,
+        entryId: string,
+        phase: { enum: ['started', 'finished'] },
+        toolUseId: string,
+        toolName: { type: ['string', 'null'] },
+        input: {},
+        isError: { type: 'boolean' },
+        timestamp: string
+    }),
+    turn_done: message('turn_done', ['seq', 'conversationId'], {
+        seq: integer,
+        target: string,
+        conversationId: { type: ['string', 'null'] },
+        entryId: string,
+        reason: string,
+        timestamp: string
+    }),
+    approval_required: message('approval_required', ['seq', 'conversationId', 'toolUseId'], {
+        seq: integer,
+        target: string,
+        conversationId: string,
+        toolUseId: string,
+        toolName: { type: ['string', 'null'] },
+        input: {},
+        timestamp: string
+    }),
+    control_ack: message('control_ack', ['command', 'status', 'inReplyTo'], {
+        command: { enum: ['interrupt', 'approve', 'deny', 'select_option'] },
+        status: { enum: ['success', 'error'] },
+        inReplyTo: { type: ['string', 'null'] },
+        error: string
+    }),
+    conversation_list: message('conversation_list', ['inReplyTo', 'target', 'conversations'], {
+        inReplyTo: nullableString,
+        target: string,
+        conversations: { type: 'array', items: object(Object.keys(conversationSummary), conversationSummary) }
+    }),
+    transcript: message('transcript', ['inReplyTo', 'target', 'conversationId', 'offset', 'total', 'messages'], {
+        inReplyTo: nullableString,
+        target: string,
+        ...conversationSummary,
+        offset: integer,
+        total: integer,
+        messages: {
+            type: 'array',
+            items: object(['role', 'text'], {
+                role: { enum: ['user', 'assistant'] },
+                entryId: string,
+                text: string,
+                timestamp: nullableString
+            })
+        }
+    }),
+    search_results: message('search_results', ['inReplyTo', 'target', 'query', 'results'], {
+        inReplyTo: nullableString,
+        target: string,
+        query: string,
+        results: {
+            type: 'array',
+            items: object(['conversationId', 'index', 'role', 'snippet'], {
+                conversationId: string,
+                title: string,
+                index: integer,
+                role: { enum: ['user', 'assistant'] },
+                timestamp: nullableString,
+                snippet: string
+            })
+        }
+    }),
+    resume_ack: message('resume_ack', ['inReplyTo', 'conversationId', 'status'], {
+        inReplyTo: nullableString,
+        target: string,
+        conversationId: string,
+        status: { enum: ['success', 'error'] },
+        error: string
+    }),
+    history_error: message('history_error', ['inReplyTo', 'code', 'message'], {
+        inReplyTo: nullableString,
+        code: { enum: ['unknown_target', 'unknown_conversation'] },
+        message: string
+    }),
+    server_shutdown: message('server_shutdown', ['reason', 'restarting', 'message'], {
+        reason: { enum: ['SIGINT', 'SIGTERM', 'crash', 'supervisor_exited'] },
+        restarting: { type: 'boolean' },
+        message: string
+    }),
+    protocol_error: message('protocol_error', ['code', 'message', 'inReplyTo'], {
+        code: { enum: ['invalid_json', 'unknown_type', 'invalid_message', 'unsupported_version', 'internal_error'] },
+        message: string,
+        inReplyTo: { type: ['string', 'null'] },
+        rejectedType: string,
+        errors: { type: 'array', items: string }
+    })
+};
+
+const ajv = new Ajv({ allErrors: true });
+const clientValidators = compileAll(CLIENT_MESSAGES);
+const serverValidators = compileAll(SERVER_MESSAGES);
+
+function compileAll(schemas) {
+    const validators = {};
+    Object.keys(schemas).forEach(kind => {
+        validators[kind] = ajv.compile(schemas[kind]);
+    });
+    return validators;
+}
+
+// Returns null for a valid message, otherwise a list of readable problems
+function validateClientMessage(kind, message) {
+    return validate(clientValidators[kind], message);
+}
+
+function validateServerMessage(kind, message) {
+    return validate(serverValidators[kind], message);
+}
+
+function validate(validator, message) {
+    if (!validator) return ['unknown message type'];
+    if (validator(message)) return null;
+    return validator.errors.map(error => `${error.instancePath || '/'} ${error.message}${error.params.additionalProperty ? ` (${error.params.additionalProperty})` : ''}`);
+}
+
+function isClientMessageKind(kind) {
+    return Object.prototype.hasOwnProperty.call(CLIENT_MESSAGES, kind);
+}
+
+// Highest version both sides speak, or null when there is none
+function negotiateVersion(clientVersions) {
+    const offered = clientVersions || [PROTOCOL_VERSION];
+    const common = offered.filter(version => SUPPORTED_VERSIONS.includes(version));
+    return common.length > 0 ? Math.max(...common) : null;
+}
+
+// The iOS client sends logs with the Swift enum encoding {"type":{"log":{}}}, every
+// other message has a string type
+function messageKind(message) {
+    if (!message || typeof message !== 'object') return undefined;
+    if (typeof message.type === 'string') return message.type;
+    if (message.type && typeof message.type === 'object') return Object.keys(message.type)[0];
+    return undefined;
+}
+
+function protocolError(code, text, offendingMessage, errors) {
+    const offending = offendingMessage && typeof offendingMessage === 'object' ? offendingMessage : {};
+    const rejectedType = messageKind(offending);
+    return {
+        type: 'protocol_error',
+        code: code,
+        message: text,
+        inReplyTo: typeof offending.id === 'string' ? offending.id : null,
+        rejectedType: typeof rejectedType === 'string' ? rejectedType : undefined,
+        errors: errors
+    };
+}
+
+module.exports = {
+    PROTOCOL_VERSION,
+    SUPPORTED_VERSIONS,
+    CLIENT_MESSAGES,
+    SERVER_MESSAGES,
+    validateClientMessage,
+    validateServerMessage,
+    isClientMessageKind,
+    negotiateVersion,
+    messageKind,
+    protocolError
+};
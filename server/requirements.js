@@ -0,0 +1,292 @@
+const fs = require('fs');
+const YAML = require('yaml');
+const { messageKind } = require('./protocol');
+
+const MATCH_FIELDS = ['message', 'type', 'fileName', 'functionName'];
+const REGEX = /^\/(.*)\/([gimsuy]*)$/s;
+
+// What a healthy app session has to log, as checked by test-system.js and shown on
+// the dashboard. A spec file (YAML or JSON) looks like:
+//
+//   requirements:
+//     - id: T1
+//       match: { message: Successful handshake }
+//     - id: T4
+//       description: Speech stopped after it started
+//       match: { message: /Voice activity detection stop(ped)?/ }
+//       after: T3               # only matches after T3's first match count
+//       min: 1                  # default 1
+//     - id: T2
+//       match: { message: WebSocket connection established }
+//       from: T1                # deadline and latency count from T1's match (default:
+//       withinMs: 5000          # the session's first log); later is a timeout
+//     - id: T8
+//       description: NO errors
+//       match: { type: error }
+//       min: 0
+//       max: 0                  # one more match fails the requirement for good
+//   allowedErrors:
+//     - { fileName: AudioSession.swift, message: /interrupted/i }
+//
+// Matchers test `message`, `type` (log or error), `fileName` and `functionName`; a
+// plain string is a substring, `/.../flags` a regular expression. Errors matching an
+// `allowedErrors` entry are reported but count toward no requirement.
+function loadRequirementsSpec(specFile) {
+    let raw;
+    try {
+        const content = fs.readFileSync(specFile, 'utf8');
+        raw = /\.json$/.test(specFile) ? JSON.parse(content) : YAML.parse(content);
+    } catch (error) {
+        throw new Error(`Unreadable requirements file ${specFile}: ${error.message}`);
+    }
+
+    const problems = [];
+    const spec = compileSpec(raw, problems);
+    if (problems.length > 0) {
+        throw new Error(`Invalid requirements file ${specFile}:\n   ${problems.join('\n   ')}`);
+    }
+    return spec;
+}
+
+function compileSpec(raw, problems) {
+    if (!raw || typeof raw !== 'object' || !Array.isArray(raw.requirements) || raw.requirements.length === 0) {
+        problems.push('requirements must be a non-empty list');
+        return null;
+    }
+
+    const ids = new Set();
+    const requirements = raw.requirements.map((requirement, index) => {
+        const label = `requirements[${index}]`;
+        if (!requirement || typeof requirement !== 'object') {
+            problems.push(`${label} must be an object`);
+            return null;
+        }
+        if (typeof requirement.id !== 'string' || !requirement.id.trim()) {
+            problems.push(`${label}.id must be a non-empty string`);
+        } else if (ids.has(requirement.id)) {
+            problems.push(`${label}.id "${requirement.id}" is used twice`);
+        }
+        // Only earlier requirements can be referenced, so there are no cycles
+        if (requirement.after !== undefined && !ids.has(requirement.after)) {
+            problems.push(`${label}.after must be the id of an earlier requirement`);
+        }
+        if (requirement.from !== undefined && !ids.has(requirement.from)) {
+            problems.push(`${label}.from must be the id of an earlier requirement`);
+        }
+        if (requirement.withinMs !== undefined && (!Number.isInteger(requirement.withinMs) || requirement.withinMs <= 0)) {
+            problems.push(`${label}.withinMs must be a positive integer`);
+        }
+        ids.add(requirement.id);
+
+        const min = requirement.min === undefined ? 1 : requirement.min;
+        const max = requirement.max === undefined ? null : requirement.max;
+        if (!Number.isInteger(min) || min < 0) {
+            problems.push(`${label}.min must be 0 or a positive integer`);
+        }
+        if (max !== null && (!Number.isInteger(max) || max < min)) {
+            problems.push(`${label}.max must be an integer of at least min`);
+        }
+
+        const match = compileMatcher(requirement.match, `${label}.match`, problems);
+        return {
+            id: requirement.id,
+            description: describeRequirement(requirement.description || defaultDescription(requirement), min, max, requirement),
+            match,
+            after: requirement.after,
+            from: requirement.from,
+            withinMs: requirement.withinMs,
+            min,
+            max
+        };
+    });
+
+    const allowedErrors = raw.allowedErrors === undefined ? [] : raw.allowedErrors;
+    if (!Array.isArray(allowedErrors)) {
+        problems.push('allowedErrors must be a list');
+        return null;
+    }
+
+    return {
+        requirements,
+        allowedErrors: allowedErrors.map((matcher, index) => compileMatcher(matcher, `allowedErrors[${index}]`, problems))
+    };
+}
+
+function compileMatcher(matcher, label, problems) {
+    if (!matcher || typeof matcher !== 'object' || Object.keys(matcher).length === 0) {
+        problems.push(`${label} must name at least one of ${MATCH_FIELDS.join(', ')}`);
+        return [];
+    }
+
+    return Object.entries(matcher).flatMap(([field, pattern]) => {
+        if (!MATCH_FIELDS.includes(field)) {
+            problems.push(`${label}.${field} is not one of ${MATCH_FIELDS.join(', ')}`);
+            return [];
+        }
+        if (typeof pattern !== 'string' || !pattern) {
+            problems.push(`${label}.${field} must be a non-empty string`);
+            return [];
+        }
+
+        const regex = REGEX.exec(pattern);
+        if (!regex) {
+            return [{ field, test: value => value.includes(pattern) }];
+        }
+        try {
+            const expression = new RegExp(regex[1], regex[2].replace('g', ''));
+            return [{ field, test: value => expression.test(value) }];
+        } catch (error) {
+            problems.push(`${label}.${field}: ${error.message}`);
+            return [];
+        }
+    });
+}
+
+function defaultDescription(requirement) {
+    const message = requirement.match && requirement.match.message;
+    return typeof message === 'string' && !REGEX.test(message) ? `"${message}"` : String(requirement.id);
+}
+
+function describeRequirement(description, min, max, { after, from, withinMs }) {
+    // "must never happen" is what the description says already
+    if (max === 0) return description;
+
+    const constraints = [];
+    if (min !== 1) constraints.push(`at least ${min}×`);
+    if (max !== null) constraints.push(`at most ${max}×`);
+    if (after !== undefined) constraints.push(`after ${after}`);
+    if (withinMs !== undefined) constraints.push(`within ${withinMs}ms of ${from === undefined ? 'session start' : from}`);
+    return constraints.length > 0 ? `${description} (${constraints.join(', ')})` : description;
+}
+
+function matches(matcher, logData) {
+    return matcher.every(({ field, test }) => {
+        const value = field === 'type' ? messageKind(logData) : logData[field];
+        return typeof value === 'string' && test(value);
+    });
+}
+
+// Every requirement is `passed` once it matched `min` times, `failed` as soon as it
+// matched more than `max` times, `timeout` when it got there (or is still pending)
+// `withinMs` after its reference point, and `pending` until then.
+//
+// Latencies and deadlines use the timestamps the app logged; `now` is only compared
+// with them to time out requirements that never arrive.
+function evaluateSessionLogs(logs, spec, now = Date.now()) {
+    const errors = [];
+    const allowedErrors = [];
+    const counted = [];
+
+    logs.forEach(logData => {
+        if (messageKind(logData) === 'error') {
+            const error = {
+                fileName: logData.fileName,
+                functionName: logData.functionName,
+                message: logData.message,
+                timestamp: logData.timestamp
+            };
+            if (spec.allowedErrors.some(matcher => matches(matcher, logData))) {
+                allowedErrors.push(error);
+                return;
+            }
+            errors.push(error);
+        }
+        counted.push(logData);
+    });
+
+    const sessionStart = logs.length > 0 ? Date.parse(logs[0].timestamp) : NaN;
+    const firstMatchIndex = new Map();
+    const reachedAt = new Map();
+    let nextDeadline = null;
+
+    const requirements = spec.requirements.map(requirement => {
+        const startIndex = requirement.after === undefined ? 0 : firstMatchIndex.get(requirement.after);
+        let count = 0;
+
+        if (startIndex !== undefined) {
+            for (let index = startIndex; index < counted.length; index++) {
+                if (!matches(requirement.match, counted[index])) continue;
+                if (count === 0) firstMatchIndex.set(requirement.id, index + 1);
+                count++;
+                // Reached with the match that satisfied `min` (the first one for min 0)
+                if (count === Math.max(requirement.min, 1)) {
+                    reachedAt.set(requirement.id, Date.parse(counted[index].timestamp));
+                }
+            }
+        }
+
+        const reference = requirement.from === undefined ? sessionStart : reachedAt.get(requirement.from);
+        const reached = reachedAt.get(requirement.id);
+        const hasClock = reference !== undefined && !isNaN(reference);
+        const latencyMs = hasClock && reached !== undefined && !isNaN(reached) ? reached - reference : null;
+
+        let status = count >= requirement.min ? 'passed' : 'pending';
+        if (requirement.withinMs !== undefined && hasClock) {
+            const deadline = reference + requirement.withinMs;
+            if (latencyMs !== null ? latencyMs > requirement.withinMs : (status === 'pending' && now > deadline)) {
+                status = 'timeout';
+            } else if (status === 'pending') {
+                nextDeadline = nextDeadline === null ? deadline : Math.min(nextDeadline, deadline);
+            }
+        }
+        if (requirement.max !== null && count > requirement.max) {
+            status = 'failed';
+        }
+
+        return {
+            id: requirement.id,
+            description: requirement.description,
+            count,
+            status,
+            passed: status === 'passed',
+            latencyMs,
+            from: requirement.from === undefined ? 'start' : requirement.from,
+            withinMs: requirement.withinMs === undefined ? null : requirement.withinMs
+        };
+    });
+
+    return {
+        requirements,
+        errors,
+        allowedErrors,
+        passed: requirements.every(requirement => requirement.passed),
+        failed: requirements.some(requirement => requirement.status === 'failed'),
+        timedOut: requirements.some(requirement => requirement.status === 'timeout'),
+        // When a pending requirement will time out, in the app's clock; null if none can
+        nextDeadline
+    };
+}
+
+// e.g. "T1:✅ T2:⏰ T3:❌ T8:❌(2)" - a failed requirement shows how often it matched
+function formatRequirementStatus(evaluation) {
+    return evaluation.requirements.map(requirement => {
+        if (requirement.status === 'failed') return `${requirement.id}:❌(${requirement.count})`;
+        if (requirement.status === 'timeout') return `${requirement.id}:⏰`;
+        return `${requirement.id}:${requirement.passed ? '✅' : '❌'}`;
+    }).join(' ');
+}
+
+// e.g. "T1 120ms after start, T2 1830ms after T1 (limit 5000ms)"
+function formatLatencies(evaluation) {
+    return evaluation.requirements
+        .filter(requirement => requirement.latencyMs !== null)
+        .map(requirement => `${requirement.id} ${requirement.latencyMs}ms after ${requirement.from}` +
+            (requirement.withinMs === null ? '' : ` (limit ${requirement.withinMs}ms)`))
+        .join(', ');
+}
+
+// Requirements that missed their deadline, e.g. "T2 not within 5000ms of T1"
+function formatTimeouts(evaluation) {
+    return evaluation.requirements
+        .filter(requirement => requirement.status === 'timeout')
+        .map(requirement => `${requirement.id} not within ${requirement.withinMs}ms of ${requirement.from}`)
+        .join('; ');
+}
+
+module.exports = {
+    loadRequirementsSpec,
+    evaluateSessionLogs,
+    formatRequirementStatus,
+    formatLatencies,
+    formatTimeouts
+};
@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { hashToken, safeEqual } = require('./pairing');
+
+// Every handshake hands out a resume token for its session. A client that reconnects
+// with it within `windowMs` of the session's last log carries on with that session
+// instead of starting a new one, so a Wi-Fi drop does not split a session in two.
+// Only the newest token is valid, and it survives a server restart; like device
+// tokens, only its hash is stored.
+function createSessionResumer({ tokenFile, windowMs, logStore }) {
+    function issue(sessionNumber) {
+        const token = crypto.randomBytes(16).toString('hex');
+        fs.mkdirSync(path.dirname(tokenFile), { recursive: true });
+        const temporaryFile = `${tokenFile}.tmp`;
+        fs.writeFileSync(temporaryFile, JSON.stringify({ sessionNumber, tokenHash: hashToken(token) }, null, 2) + '\n', { mode: 0o600 });
+        fs.renameSync(temporaryFile, tokenFile);
+        return token;
+    }
+
+    // The session number to carry on with, or null with the reason it cannot be resumed
+    function resume(token, now = Date.now()) {
+        if (windowMs === 0) return { sessionNumber: null, reason: 'resuming is switched off' };
+
+        const issued = load();
+        if (!issued || !safeEqual(issued.tokenHash, hashToken(token))) {
+            return { sessionNumber: null, reason: 'unknown or outdated resume token' };
+        }
+
+        const session = logStore.listSessions().find(candidate => candidate.number === issued.sessionNumber);
+        if (!session || session.compressed) {
+            return { sessionNumber: null, reason: `session ${issued.sessionNumber} is no longer stored as a plain log` };
+        }
+        if (now - session.modifiedAt.getTime() > windowMs) {
+            return { sessionNumber: null, reason: `session ${issued.sessionNumber} has been idle for more than ${windowMs / 1000}s` };
+        }
+        return { sessionNumber: issued.sessionNumber, reason: null };
+    }
+
+    function load() {
+        if (!fs.existsSync(tokenFile)) return null;
+        try {
+            return JSON.parse(fs.readFileSync(tokenFile, 'utf8'));
+        } catch (error) {
+            console.error(`❌ Unreadable resume token file ${tokenFile}: ${error.message}`);
+            return null;
+        }
+    }
+
+    return { issue, resume };
+}
+
+module.exports = {
+    createSessionResumer
+};
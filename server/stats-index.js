@@ -0,0 +1,191 @@
+const fs = require('fs');
+const path = require('path');
+const { messageKind } = require('./protocol');
+
+const INDEX_VERSION = 1;
+const FLUSH_DELAY_MS = 1000;
+
+// Running totals over the sessions in `logStore`, so a handshake never has to read the
+// logs themselves. Every session remembers how many (uncompressed) bytes of its log it
+// has counted; sessions whose log grew or shrank since (e.g. a crash before the index
+// was flushed) are counted again by `reconcile`, and only those.
+//
+// A session's uptime is the time between its first and last log, and counts toward
+// the local day the session started.
+function createStatsIndex({ indexFile, logStore }) {
+    let index = load();
+    let flushTimer = null;
+
+    function load() {
+        if (!fs.existsSync(indexFile)) return emptyIndex();
+        try {
+            const loaded = JSON.parse(fs.readFileSync(indexFile, 'utf8'));
+            return loaded.version === INDEX_VERSION ? loaded : emptyIndex();
+        } catch (error) {
+            console.error(`❌ Unreadable stats index ${indexFile} - rebuilding: ${error.message}`);
+            return emptyIndex();
+        }
+    }
+
+    function reconcile() {
+        const seen = new Set();
+        let reindexed = 0;
+
+        logStore.listSessions().forEach(stored => {
+            const sessionNumber = String(stored.number);
+            seen.add(sessionNumber);
+            const session = index.sessions[sessionNumber];
+            if (!session || session.bytes !== stored.size) {
+                indexSession(sessionNumber);
+                reindexed++;
+            }
+        });
+
+        Object.keys(index.sessions)
+            .filter(sessionNumber => !seen.has(sessionNumber))
+            .forEach(sessionNumber => {
+                removeSession(sessionNumber);
+                reindexed++;
+            });
+
+        if (reindexed > 0) {
+            console.log(`📊 Stats index: re-counted ${reindexed} changed session(s)`);
+            flush();
+        }
+    }
+
+    function rebuild() {
+        index = emptyIndex();
+        logStore.listSessions().forEach(stored => indexSession(String(stored.number)));
+        flush();
+        return summary();
+    }
+
+    function sessionStarted(sessionNumber) {
+        removeSession(String(sessionNumber));
+        index.sessions[sessionNumber] = emptySession();
+        flush();
+    }
+
+    function logWritten(sessionNumber, logData, bytes) {
+        const session = index.sessions[sessionNumber] || (index.sessions[sessionNumber] = emptySession());
+        addLog(session, logData, bytes);
+        scheduleFlush();
+    }
+
+    function summary(now = new Date()) {
+        return {
+            totalUptime: Math.floor(index.totals.uptime),
+            todayUptime: Math.floor(index.uptimeByDay[dayKey(now)] || 0),
+            totalLogs: index.totals.logs,
+            totalErrors: index.totals.errors,
+            sessions: Object.keys(index.sessions).length
+        };
+    }
+
+    function indexSession(sessionNumber) {
+        removeSession(sessionNumber);
+        const session = emptySession();
+        index.sessions[sessionNumber] = session;
+
+        const content = logStore.readSession(Number(sessionNumber)) || '';
+        content.split('\n').forEach(line => {
+            if (!line.trim()) return;
+            try {
+                addLog(session, JSON.parse(line), 0);
+            } catch (error) {
+                console.error(`❌ Skipping unparsable log line in session ${sessionNumber}: ${error.message}`);
+            }
+        });
+        session.bytes = Buffer.byteLength(content);
+    }
+
+    function addLog(session, logData, bytes) {
+        const timestamp = new Date(logData.timestamp);
+        const kind = messageKind(logData) || 'unknown';
+
+        if (!isNaN(timestamp)) {
+            if (!session.start) {
+                session.start = timestamp.toISOString();
+                session.day = dayKey(timestamp);
+            }
+            session.end = timestamp.toISOString();
+
+            const uptime = Math.max(timestamp - new Date(session.start), 0);
+            const gained = uptime - session.uptime;
+            session.uptime = uptime;
+            index.totals.uptime += gained;
+            index.uptimeByDay[session.day] = (index.uptimeByDay[session.day] || 0) + gained;
+        }
+
+        session.logs++;
+        index.totals.logs++;
+        session.countsByType[kind] = (session.countsByType[kind] || 0) + 1;
+        if (kind === 'error') {
+            session.errors++;
+            index.totals.errors++;
+        }
+        session.bytes += bytes;
+    }
+
+    function removeSession(sessionNumber) {
+        const session = index.sessions[sessionNumber];
+        if (!session) return;
+
+        index.totals.uptime -= session.uptime;
+        index.totals.logs -= session.logs;
+        index.totals.errors -= session.errors;
+        if (session.day) {
+            index.uptimeByDay[session.day] -= session.uptime;
+            if (index.uptimeByDay[session.day] <= 0) delete index.uptimeByDay[session.day];
+        }
+        delete index.sessions[sessionNumber];
+    }
+
+    // Logs can arrive many times a second; the index is written at most once per FLUSH_DELAY_MS
+    function scheduleFlush() {
+        if (flushTimer) return;
+        flushTimer = setTimeout(flush, FLUSH_DELAY_MS);
+        flushTimer.unref();
+    }
+
+    function flush() {
+        clearTimeout(flushTimer);
+        flushTimer = null;
+        fs.mkdirSync(path.dirname(indexFile), { recursive: true });
+        const temporaryFile = `${indexFile}.tmp`;
+        fs.writeFileSync(temporaryFile, JSON.stringify(index, null, 2) + '\n');
+        fs.renameSync(temporaryFile, indexFile);
+    }
+
+    // Per-session stats by session number; callers must not modify them
+    function sessions() {
+        return index.sessions;
+    }
+
+    return { reconcile, rebuild, sessionStarted, logWritten, summary, sessions, flush };
+}
+
+function emptyIndex() {
+    return {
+        version: INDEX_VERSION,
+        totals: { logs: 0, errors: 0, uptime: 0 },
+        uptimeByDay: {},
+        sessions: {}
+    };
+}
+
+function emptySession() {
+    return { start: null, end: null, day: null, uptime: 0, logs: 0, errors: 0, countsByType: {}, bytes: 0 };
+}
+
+// Local calendar day, like the "today" the app shows
+function dayKey(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+module.exports = {
+    createStatsIndex
+};
@@ -0,0 +1,131 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const STDERR_TAIL_LINES = 20;
+
+// The exit code of a server that cannot start as configured (invalid configuration,
+// missing TLS certificate, a port it cannot listen on). Starting it again would fail the same way.
+const EXIT_CONFIG_ERROR = 78;
+
+// Keeps `script` running: a run that ends with a non-zero exit code or a signal is
+// recorded in `crashLog` (one JSON line per crash, with the last lines the server
+// wrote to stderr) and restarted after a backoff that doubles from `restartBaseMs` up
+// to `restartMaxMs`. A run that lasted `stableAfterMs` starts the backoff over. A
+// server that exits with EXIT_CONFIG_ERROR is recorded but not restarted.
+//
+// SIGINT and SIGTERM are passed on to the server as SIGTERM, and it shuts down
+// gracefully; the supervisor exits with it. The server stays in the supervisor's
+// process group and ignores the SIGINT that Ctrl+C sends the whole group. Should the
+// supervisor die without stopping it, even by SIGKILL, the server notices its IPC
+// channel closing and shuts down too, so nothing is left holding the ports.
+function runSupervisor({ script, args, crashLog, restartBaseMs, restartMaxMs, stableAfterMs }) {
+    let child = null;
+    let restartTimer = null;
+    let stopping = false;
+    let restarts = 0;
+    let consecutiveCrashes = 0;
+
+    function start() {
+        restartTimer = null;
+        const startedAt = Date.now();
+        const stderrTail = [];
+        let partialLine = '';
+
+        console.log(`🛡️ Supervisor starting mac-server.js${restarts > 0 ? ` (restart ${restarts})` : ''}`);
+        child = spawn(process.execPath, [script, ...args], {
+            stdio: ['ignore', 'inherit', 'pipe', 'ipc'],
+            env: { ...process.env, MAC_SERVER_SUPERVISED: '1', MAC_SERVER_RESTARTS: String(restarts) }
+        });
+
+        child.stderr.on('data', (data) => {
+            process.stderr.write(data);
+            const lines = (partialLine + data.toString()).split('\n');
+            partialLine = lines.pop();
+            stderrTail.push(...lines.filter(line => line.trim()));
+            stderrTail.splice(0, Math.max(stderrTail.length - STDERR_TAIL_LINES, 0));
+        });
+
+        child.on('exit', (code, signal) => {
+            child = null;
+            if (partialLine.trim()) stderrTail.push(partialLine);
+
+            if (stopping || code === 0) {
+                console.log(`🛡️ mac-server.js stopped${stopping ? '' : ' by itself'} - supervisor exiting`);
+                process.exit(code === null ? 1 : code);
+            }
+
+            const uptimeMs = Date.now() - startedAt;
+            const canRestart = code !== EXIT_CONFIG_ERROR;
+            consecutiveCrashes = uptimeMs >= stableAfterMs ? 1 : consecutiveCrashes + 1;
+            const restartInMs = canRestart ? Math.min(restartBaseMs * 2 ** (consecutiveCrashes - 1), restartMaxMs) : null;
+            const crash = {
+                crashedAt: new Date().toISOString(),
+                startedAt: new Date(startedAt).toISOString(),
+                uptimeMs,
+                exitCode: code,
+                signal,
+                reason: crashReason(stderrTail, code, signal),
+                stderr: stderrTail,
+                restarts,
+                restartInMs
+            };
+            recordCrash(crashLog, crash);
+
+            if (!canRestart) {
+                console.error(`💥 mac-server.js cannot start as configured: ${crash.reason}`);
+                console.error(`🛡️ Not restarting it - fix the configuration and start again (recorded in ${crashLog})`);
+                process.exit(EXIT_CONFIG_ERROR);
+            }
+
+            console.error(`💥 mac-server.js crashed after ${Math.round(uptimeMs / 1000)}s: ${crash.reason}`);
+            console.error(`🛡️ Restarting in ${restartInMs}ms (crash recorded in ${crashLog})`);
+            restarts++;
+            restartTimer = setTimeout(start, restartInMs);
+        });
+    }
+
+    function stop(signal) {
+        if (stopping && child) {
+            // A second Ctrl+C makes the server give up waiting, as it does without a supervisor
+            child.kill('SIGTERM');
+            return;
+        }
+        stopping = true;
+        if (child) {
+            console.log(`🛡️ ${signal} - asking mac-server.js to shut down`);
+            child.kill('SIGTERM');
+        } else {
+            clearTimeout(restartTimer);
+            console.log(`🛡️ ${signal} - not restarting mac-server.js`);
+            process.exit(0);
+        }
+    }
+
+    process.on('SIGINT', () => stop('SIGINT'));
+    process.on('SIGTERM', () => stop('SIGTERM'));
+    start();
+}
+
+// The server's own last words when it died of an uncaught error, otherwise the last
+// thing it wrote to stderr
+function crashReason(stderrTail, code, signal) {
+    const fatal = stderrTail.filter(line => line.includes('💥 FATAL')).pop();
+    if (fatal) return fatal.trim();
+    if (stderrTail.length > 0) return stderrTail[stderrTail.length - 1].trim();
+    return signal ? `killed by ${signal}` : `exited with code ${code}`;
+}
+
+function recordCrash(crashLog, crash) {
+    try {
+        fs.mkdirSync(path.dirname(crashLog), { recursive: true });
+        fs.appendFileSync(crashLog, JSON.stringify(crash) + '\n');
+    } catch (error) {
+        console.error(`❌ Could not record the crash in ${crashLog}: ${error.message}`);
+    }
+}
+
+module.exports = {
+    EXIT_CONFIG_ERROR,
+    runSupervisor
+};
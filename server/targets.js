@@ -0,0 +1,54 @@
+const path = require('path');
+const { conversationDirForProject } = require('./config');
+
+// The Claude sessions prompts can be routed to. The top-level projectDir, conversationDir
+// and delivery settings form the "default" target; `targets` in the config file adds more,
+// each with its own working directory, delivery target and prompt queue file.
+function resolveTargets(config) {
+    const defaultTarget = {
+        name: 'default',
+        categories: [],
+        projectDir: config.projectDir,
+        conversationDir: config.conversationDir,
+        delivery: config.delivery,
+        queueFile: config.queue.file
+    };
+
+    return [defaultTarget, ...config.targets.map(target => ({
+        name: target.name,
+        categories: target.categories,
+        projectDir: target.projectDir,
+        conversationDir: target.conversationDir || conversationDirForProject(target.projectDir),
+        delivery: { ...config.delivery, ...target.delivery },
+        queueFile: queueFileFor(config.queue.file, target.name)
+    }))];
+}
+
+// private/prompt-queue.json -> private/prompt-queue.<name>.json
+function queueFileFor(defaultQueueFile, name) {
+    const extension = path.extname(defaultQueueFile);
+    return path.join(path.dirname(defaultQueueFile), `${path.basename(defaultQueueFile, extension)}.${name}${extension}`);
+}
+
+// A prompt goes to the target it names; otherwise its category (a button in the app or
+// a spoken project name) is matched against target names and categories, ignoring case
+// and punctuation. Anything unmatched goes to the default target.
+function routeTarget(targets, { target, category }) {
+    if (target) {
+        return targets.find(candidate => candidate.name === target) || null;
+    }
+
+    const spoken = normalizeName(category);
+    const matched = spoken && targets.find(candidate =>
+        [candidate.name, ...candidate.categories].some(name => normalizeName(name) === spoken));
+    return matched || targets[0];
+}
+
+function normalizeName(name) {
+    return typeof name === 'string' ? name.toLowerCase().replace(/[^a-z0-9]/g, '') : '';
+}
+
+module.exports = {
+    resolveTargets,
+    routeTarget
+};
@@ -0,0 +1,151 @@
+// Machine-readable results of test-system.js: one JSON result and one JUnit XML file
+// per session, and a summary over the most recent sessions.
+//
+// Verdicts: PASSED, FAILED, TIMEOUT, INCOMPLETE (the session ended first), ERROR
+// (unreadable log) and PENDING (still running).
+const FINAL_VERDICTS = ['PASSED', 'FAILED', 'TIMEOUT', 'INCOMPLETE', 'ERROR'];
+const FREQUENT_ERROR_LIMIT = 10;
+
+function buildSessionResult({ session, source, verdict, evaluation, startedAt, error }) {
+    return {
+        session: session === undefined ? null : session,
+        source,
+        verdict,
+        passed: verdict === 'PASSED',
+        startedAt,
+        updatedAt: new Date().toISOString(),
+        error: error || null,
+        requirements: evaluation ? evaluation.requirements.map(requirement => ({
+            id: requirement.id,
+            description: requirement.description,
+            status: requirement.status,
+            count: requirement.count,
+            latencyMs: requirement.latencyMs,
+            from: requirement.from,
+            withinMs: requirement.withinMs
+        })) : [],
+        errors: evaluation ? evaluation.errors : [],
+        allowedErrors: evaluation ? evaluation.allowedErrors : []
+    };
+}
+
+// One <testsuite> per session and one <testcase> per requirement; a requirement that
+// is not met is a <failure> whose type is its status (pending, failed, timeout)
+function toJUnitXml(results) {
+    const suites = results.map(result => {
+        const name = result.session === null ? result.source : `session ${result.session}`;
+        const failures = result.requirements.filter(requirement => requirement.status !== 'passed').length;
+        const cases = result.requirements.map(requirement => {
+            const attributes = `classname="${xml(name)}" name="${xml(`${requirement.id} ${requirement.description}`)}" time="${seconds(requirement.latencyMs)}"`;
+            if (requirement.status === 'passed') return `    <testcase ${attributes}/>`;
+            return `    <testcase ${attributes}>\n      <failure type="${requirement.status}" message="${xml(failureMessage(requirement))}"/>\n    </testcase>`;
+        });
+        if (result.error) {
+            cases.push(`    <testcase classname="${xml(name)}" name="log">\n      <error message="${xml(result.error)}"/>\n    </testcase>`);
+        }
+
+        const errorLines = result.errors.map(error => `${error.fileName}:${error.functionName}: ${error.message}`);
+        const systemErr = errorLines.length > 0 ? [`    <system-err>${xml(errorLines.join('\n'))}</system-err>`] : [];
+
+        return [
+            `  <testsuite name="${xml(name)}" tests="${cases.length}" failures="${failures}" errors="${result.error ? 1 : 0}" timestamp="${xml(result.startedAt)}">`,
+            `    <properties><property name="verdict" value="${result.verdict}"/></properties>`,
+            ...cases,
+            ...systemErr,
+            '  </testsuite>'
+        ].join('\n');
+    });
+
+    const tests = results.reduce((sum, result) => sum + result.requirements.length + (result.error ? 1 : 0), 0);
+    const failures = results.reduce((sum, result) => sum + result.requirements.filter(requirement => requirement.status !== 'passed').length, 0);
+    const errors = results.filter(result => result.error).length;
+    return `<?xml version="1.0" encoding="UTF-8"?>\n<testsuites name="test-system" tests="${tests}" failures="${failures}" errors="${errors}">\n${suites.join('\n')}\n</testsuites>\n`;
+}
+
+function failureMessage(requirement) {
+    if (requirement.status === 'timeout') return `not within ${requirement.withinMs}ms of ${requirement.from}`;
+    if (requirement.status === 'failed') return `matched ${requirement.count}×`;
+    return requirement.count > 0 ? `matched only ${requirement.count}×` : 'never matched';
+}
+
+function seconds(ms) {
+    return ms === null || ms === undefined ? '0' : (Math.max(ms, 0) / 1000).toFixed(3);
+}
+
+function xml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Over the last `windowSize` finished sessions: the pass rate, the most frequent errors
+// by where they were logged, and requirements that passed in some sessions but not in
+// others (flaky)
+function summarizeResults(results, windowSize) {
+    const recent = results
+        .filter(result => FINAL_VERDICTS.includes(result.verdict))
+        .sort((a, b) => a.session - b.session)
+        .slice(-windowSize);
+
+    const verdicts = {};
+    recent.forEach(result => {
+        verdicts[result.verdict] = (verdicts[result.verdict] || 0) + 1;
+    });
+    const passed = verdicts.PASSED || 0;
+
+    return {
+        generatedAt: new Date().toISOString(),
+        windowSize,
+        sessions: recent.map(result => result.session),
+        total: recent.length,
+        passed,
+        passRate: recent.length > 0 ? passed / recent.length : null,
+        verdicts,
+        frequentErrors: frequentErrors(recent),
+        flakyRequirements: flakyRequirements(recent)
+    };
+}
+
+function frequentErrors(results) {
+    const groups = new Map();
+    results.forEach(result => {
+        result.errors.forEach(error => {
+            const location = `${error.fileName}:${error.functionName}`;
+            const group = groups.get(location) || { location, count: 0, sessions: new Set(), lastMessage: null };
+            group.count++;
+            group.sessions.add(result.session);
+            group.lastMessage = error.message;
+            groups.set(location, group);
+        });
+    });
+
+    return [...groups.values()]
+        .sort((a, b) => b.count - a.count)
+        .slice(0, FREQUENT_ERROR_LIMIT)
+        .map(group => ({ location: group.location, count: group.count, sessions: group.sessions.size, lastMessage: group.lastMessage }));
+}
+
+function flakyRequirements(results) {
+    const tallies = new Map();
+    results.forEach(result => {
+        result.requirements.forEach(requirement => {
+            const tally = tallies.get(requirement.id) || { id: requirement.id, description: requirement.description, passed: 0, notPassed: 0 };
+            if (requirement.status === 'passed') tally.passed++;
+            else tally.notPassed++;
+            tallies.set(requirement.id, tally);
+        });
+    });
+
+    return [...tallies.values()]
+        .filter(tally => tally.passed > 0 && tally.notPassed > 0)
+        .map(tally => ({ ...tally, passRate: tally.passed / (tally.passed + tally.notPassed) }))
+        .sort((a, b) => Math.abs(a.passRate - 0.5) - Math.abs(b.passRate - 0.5));
+}
+
+module.exports = {
+    buildSessionResult,
+    toJUnitXml,
+    summarizeResults
+};
@@ -0,0 +1,127 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const SERVER_SCRIPT = path.join(__dirname, '..', 'mac-server.js');
+const READY_LINE = 'Waiting for iOS connections';
+const START_TIMEOUT_MS = 15000;
+
+// Runs mac-server.js on a free local port for end-to-end tests on any machine: plain
+// TCP, no pairing, no WebSocket or dashboard, and the `fake` delivery backend writing
+// to a conversation directory of its own. Logs, queue, stats and the conversation all
+// live in a new temporary directory, which `stop` removes unless `keepDir` is set.
+//
+// callback(error, { host, port, dir, logsDir, conversationDir, output(), stop(callback) })
+function startTestServer(options, callback) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mac-server-test-'));
+    const logsDir = path.join(dir, 'logs');
+    const conversationDir = path.join(dir, 'conversation');
+    const configFile = path.join(dir, 'config.json');
+    // The conversation tailer only watches a directory that exists when the server starts
+    fs.mkdirSync(conversationDir);
+
+    findFreePort((portError, port) => {
+        if (portError) return callback(portError);
+
+        fs.writeFileSync(configFile, JSON.stringify({
+            host: '127.0.0.1',
+            port,
+            insecure: true,
+            websocket: { enabled: false },
+            dashboard: { enabled: false },
+            pairing: { required: false },
+            logsDir,
+            logs: { counterFile: path.join(dir, 'session-counter.json') },
+            resume: { tokenFile: path.join(dir, 'session-resume.json') },
+            narration: { seqFile: path.join(dir, 'narration-seq.json') },
+            statsIndexFile: path.join(dir, 'stats-index.json'),
+            secretsFile: path.join(dir, 'secrets.txt'),
+            devicesFile: path.join(dir, 'devices.json'),
+            queue: { file: path.join(dir, 'prompt-queue.json') },
+            projectDir: dir,
+            conversationDir,
+            delivery: { backend: 'fake' },
+            // Nothing listens there, so handshakes come without credentials
+            credentials: { upstreamUrl: 'http://127.0.0.1:9/client_secrets' },
+            ...options.config
+        }, null, 2));
+
+        const child = spawn(process.execPath, [SERVER_SCRIPT, '--config', configFile], {
+            cwd: dir,
+            stdio: ['ignore', 'pipe', 'pipe']
+        });
+
+        let output = '';
+        let ready = false;
+        let exited = false;
+
+        const startTimer = setTimeout(() => {
+            child.kill('SIGKILL');
+            finishStart(new Error(`mac-server.js did not start within ${START_TIMEOUT_MS}ms:\n${output}`));
+        }, START_TIMEOUT_MS);
+
+        function collect(data) {
+            output += data.toString();
+            if (options.echo) process.stderr.write(data);
+            if (!ready && output.includes(READY_LINE)) {
+                finishStart(null);
+            }
+        }
+        child.stdout.on('data', collect);
+        child.stderr.on('data', collect);
+
+        child.on('exit', (code, signal) => {
+            exited = true;
+            if (!ready) finishStart(new Error(`mac-server.js exited (${signal || code}) before it was ready:\n${output}`));
+        });
+
+        function finishStart(error) {
+            if (ready) return;
+            ready = true;
+            clearTimeout(startTimer);
+            if (error) {
+                removeDir();
+                return callback(error);
+            }
+            callback(null, {
+                host: '127.0.0.1',
+                port,
+                dir,
+                logsDir,
+                conversationDir,
+                output: () => output,
+                stop
+            });
+        }
+
+        function stop(stopCallback) {
+            const done = () => {
+                if (!options.keepDir) removeDir();
+                stopCallback(null);
+            };
+            if (exited) return done();
+            child.once('exit', done);
+            child.kill('SIGTERM');
+        }
+    });
+
+    function removeDir() {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+// A port nothing listened on a moment ago
+function findFreePort(callback) {
+    const probe = net.createServer();
+    probe.once('error', callback);
+    probe.listen(0, '127.0.0.1', () => {
+        const { port } = probe.address();
+        probe.close(() => callback(null, port));
+    });
+}
+
+module.exports = {
+    startTestServer
+};
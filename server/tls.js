@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+
+// Node cannot create X.509 certificates itself, so this shells out to openssl
+// (LibreSSL on macOS understands the same flags).
+function generateSelfSignedCertificate({ certFile, keyFile, days }, callback) {
+    const hostname = os.hostname();
+    const subjectAltNames = [`DNS:${hostname}`, 'DNS:localhost', 'IP:127.0.0.1'];
+    if (!hostname.endsWith('.local')) {
+        subjectAltNames.push(`DNS:${hostname}.local`);
+    }
+
+    fs.mkdirSync(path.dirname(certFile), { recursive: true });
+    fs.mkdirSync(path.dirname(keyFile), { recursive: true });
+
+    execFile('openssl', [
+        'req', '-x509',
+        '-newkey', 'ec', '-pkeyopt', 'ec_paramgen_curve:prime256v1',
+        '-nodes',
+        '-days', String(days),
+        '-subj', `/CN=${hostname}`,
+        '-addext', `subjectAltName=${subjectAltNames.join(',')}`,
+        '-keyout', keyFile,
+        '-out', certFile
+    ], (error, stdout, stderr) => {
+        if (error) {
+            callback(new Error(`openssl failed: ${stderr.trim() || error.message}`));
+            return;
+        }
+        fs.chmodSync(keyFile, 0o600);
+        callback(null, certificateFingerprint(certFile));
+    });
+}
+
+function certificateFingerprint(certFile) {
+    return new crypto.X509Certificate(fs.readFileSync(certFile)).fingerprint256;
+}
+
+function hasCertificate(tlsConfig) {
+    return fs.existsSync(tlsConfig.certFile) && fs.existsSync(tlsConfig.keyFile);
+}
+
+function loadServerOptions(tlsConfig) {
+    return {
+        cert: fs.readFileSync(tlsConfig.certFile),
+        key: fs.readFileSync(tlsConfig.keyFile)
+    };
+}
+
+module.exports = {
+    generateSelfSignedCertificate,
+    certificateFingerprint,
+    hasCertificate,
+    loadServerOptions
+};
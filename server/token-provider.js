@@ -0,0 +1,87 @@
+// Short-lived Realtime API credentials for clients, so the permanent API key never
+// leaves the Mac. The upstream is anything with createClientSecret(ttlSeconds, callback);
+// createOpenAIUpstream talks to OpenAI or to a local stub speaking the same endpoint,
+// and gives up on a request that has not been answered within `timeoutMs`.
+
+function createOpenAIUpstream({ apiKey, url, model, timeoutMs }) {
+    return {
+        createClientSecret(ttlSeconds, callback) {
+            fetch(url, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${apiKey}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    expires_after: { anchor: 'created_at', seconds: ttlSeconds },
+                    session: { type: 'realtime', model: model }
+                }),
+                signal: AbortSignal.timeout(timeoutMs)
+            })
+                .then(response => response.json().then(body => ({ response, body })))
+                // Both outcomes are handled in one step, so an exception thrown by the
+                // callback cannot come back around as a failed request
+                .then(({ response, body }) => {
+                    if (!response.ok) {
+                        const message = body.error && body.error.message ? body.error.message : JSON.stringify(body);
+                        callback(new Error(`Client secret request failed (${response.status}): ${message}`));
+                    } else if (!body.value || !body.expires_at) {
+                        callback(new Error('Client secret response is missing value or expires_at'));
+                    } else {
+                        callback(null, { clientSecret: body.value, expiresAt: body.expires_at * 1000 });
+                    }
+                }, error => {
+                    const reason = error.name === 'TimeoutError' ? `no answer within ${timeoutMs}ms` : error.message;
+                    callback(new Error(`Client secret request failed: ${reason}`));
+                });
+        }
+    };
+}
+
+function createTokenProvider({ upstream, ttlSeconds, refreshMarginSeconds }) {
+    function issue(callback) {
+        upstream.createClientSecret(ttlSeconds, callback);
+    }
+
+    // Issues a replacement `refreshMarginSeconds` before each credential expires, until stopped
+    function keepFresh(credentials, onRefresh) {
+        let timer = null;
+        let stopped = false;
+
+        function schedule(expiresAt) {
+            const delay = Math.max(expiresAt - Date.now() - refreshMarginSeconds * 1000, 0);
+            timer = setTimeout(refresh, delay);
+        }
+
+        function refresh() {
+            issue((error, freshCredentials) => {
+                if (stopped) return;
+                if (error) {
+                    console.error(`❌ Failed to refresh client credentials: ${error.message}`);
+                    onRefresh(error);
+                    // Try again shortly, the current credentials may still be valid
+                    timer = setTimeout(refresh, 5000);
+                    return;
+                }
+                onRefresh(null, freshCredentials);
+                schedule(freshCredentials.expiresAt);
+            });
+        }
+
+        schedule(credentials.expiresAt);
+
+        return {
+            stop: () => {
+                stopped = true;
+                clearTimeout(timer);
+            }
+        };
+    }
+
+    return { issue, keepFresh };
+}
+
+module.exports = {
+    createOpenAIUpstream,
+    createTokenProvider
+};
@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const { WebSocketServer } = require('ws');
+
+// Newline-delimited JSON over a raw TCP or TLS socket, as spoken by the iOS app
+function handleTcpSocket(socket, transport, dispatcher) {
+    const connection = {
+        id: newConnectionId(),
+        transport: transport,
+        remoteAddress: socket.remoteAddress,
+        send: (message) => socket.write(JSON.stringify(message) + '\n'),
+        isOpen: () => socket.writable,
+        close: () => socket.end()
+    };
+
+    let buffer = '';
+
+    dispatcher.connectionOpened(connection);
+
+    // A character can be split across two reads; the decoder holds on to its first bytes
+    socket.setEncoding('utf8');
+    socket.on('data', (data) => {
+        buffer += data;
+        buffer = processBufferedData(connection, buffer, dispatcher);
+    });
+
+    socket.on('close', () => {
+        dispatcher.connectionClosed(connection);
+    });
+
+    socket.on('error', (err) => {
+        console.log('Socket error:', err.message);
+    });
+}
+
+function processBufferedData(connection, buffer, dispatcher) {
+    let remainingBuffer = buffer;
+
+    // Process ALL complete messages in the buffer
+    while (remainingBuffer.indexOf('\n') !== -1) {
+        const newlineIndex = remainingBuffer.indexOf('\n');
+        const line = remainingBuffer.substring(0, newlineIndex);
+        remainingBuffer = remainingBuffer.substring(newlineIndex + 1);
+
+        if (line.trim()) {
+            dispatchRawMessage(connection, line, dispatcher);
+        }
+    }
+
+    return remainingBuffer;
+}
+
+// One JSON message per WebSocket text frame, for browsers and other clients that
+// should not have to implement the newline framing.
+//
+// Browsers let any web page open a WebSocket to this port, so a handshake carrying an
+// Origin header is refused unless that origin is in `allowedOrigins`. Native clients
+// send no Origin and are let through.
+function attachWebSocketTransport(httpServer, path, transport, dispatcher, allowedOrigins) {
+    const webSocketServer = new WebSocketServer({
+        server: httpServer,
+        path: path,
+        verifyClient: ({ origin, req }, callback) => {
+            if (origin === undefined || allowedOrigins.includes(origin)) return callback(true);
+            console.error(`🚫 Refused WebSocket from ${req.socket.remoteAddress}: origin ${origin} is not in websocket.allowedOrigins`);
+            callback(false, 403, 'Origin not allowed');
+        }
+    });
+
+    webSocketServer.on('connection', (webSocket, request) => {
+        const connection = {
+            id: newConnectionId(),
+            transport: transport,
+            remoteAddress: request.socket.remoteAddress,
+            send: (message) => webSocket.send(JSON.stringify(message)),
+            isOpen: () => webSocket.readyState === webSocket.OPEN,
+            close: () => webSocket.close()
+        };
+
+        dispatcher.connectionOpened(connection);
+
+        webSocket.on('message', (data, isBinary) => {
+            if (isBinary) {
+                console.error(`Ignoring binary WebSocket frame from ${connection.id}`);
+                return;
+            }
+            dispatchRawMessage(connection, data.toString(), dispatcher);
+        });
+
+        webSocket.on('close', () => {
+            dispatcher.connectionClosed(connection);
+        });
+
+        webSocket.on('error', (err) => {
+            console.log('WebSocket error:', err.message);
+        });
+    });
+
+    return webSocketServer;
+}
+
+function dispatchRawMessage(connection, text, dispatcher) {
+    try {
+        dispatcher.rawMessageReceived(connection, text);
+    } catch (error) {
+        console.error(`❌ Failed to handle message from ${connection.id}:`, error);
+    }
+}
+
+function newConnectionId() {
+    return crypto.randomBytes(4).toString('hex');
+}
+
+module.exports = {
+    handleTcpSocket,
+    attachWebSocketTransport
+};
@@ -0,0 +1,154 @@
+const { parseArgs } = require('util');
+const { createSimulatedClient, loadScenario, runScenario } = require('./server/client-simulator');
+const { startTestServer } = require('./server/test-server');
+
+const USAGE = `Usage: node simulate-client.js <scenario file>... [options]
+
+Plays each scenario as the iOS app would, against a running mac-server.js or a
+throwaway one with a fake Claude.
+
+  --host <host>         server to connect to (default 127.0.0.1)
+  --port <port>         its TCP port (default 8082, or 8443 with --tls)
+  --tls                 connect with TLS (the certificate is not checked)
+  --device-token <t>    token sent with start and prompts
+  --timeout-ms <ms>     how long a step waits for a reply (default 10000)
+  --test-server         start mac-server.js with the fake delivery backend in a
+                        temporary directory instead of connecting to --host/--port
+  --keep                keep that directory (logs, conversation) and print its path
+  --verbose             echo the test server's output`;
+
+function main() {
+    let options;
+    try {
+        options = parseOptions(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}\n   Run with --help for usage`);
+        process.exit(1);
+    }
+
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    let scenarios;
+    try {
+        scenarios = options.files.map(loadScenario);
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+
+    if (!options.testServer) {
+        runAll(scenarios, options, options.host, options.port, (allPassed) => process.exit(allPassed ? 0 : 1));
+        return;
+    }
+
+    startTestServer({ keepDir: options.keep, echo: options.verbose }, (error, server) => {
+        if (error) {
+            console.error(`❌ ${error.message}`);
+            process.exit(1);
+        }
+        console.log(`🧪 Test server on port ${server.port} with a fake Claude`);
+
+        runAll(scenarios, options, server.host, server.port, (allPassed) => {
+            server.stop(() => {
+                if (options.keep) {
+                    console.log(`📁 Logs and conversation kept in ${server.dir}`);
+                    console.log(`   Check them with: node test-system.js --logs-dir ${server.logsDir} replay 1-`);
+                }
+                process.exit(allPassed ? 0 : 1);
+            });
+        });
+    });
+}
+
+function parseOptions(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            host: { type: 'string' },
+            port: { type: 'string' },
+            tls: { type: 'boolean' },
+            'device-token': { type: 'string' },
+            'timeout-ms': { type: 'string' },
+            'test-server': { type: 'boolean' },
+            keep: { type: 'boolean' },
+            verbose: { type: 'boolean' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+
+    if (!values.help && positionals.length === 0) {
+        throw new Error('Give at least one scenario file');
+    }
+    if (values['test-server'] && (values.host || values.port || values.tls)) {
+        throw new Error('--test-server cannot be combined with --host, --port or --tls');
+    }
+
+    return {
+        files: positionals,
+        host: values.host || '127.0.0.1',
+        port: values.port ? parsePositiveInteger(values.port, '--port') : (values.tls ? 8443 : 8082),
+        tls: values.tls === true,
+        deviceToken: values['device-token'],
+        timeoutMs: values['timeout-ms'] ? parsePositiveInteger(values['timeout-ms'], '--timeout-ms') : undefined,
+        testServer: values['test-server'] === true,
+        keep: values.keep === true,
+        verbose: values.verbose === true,
+        help: values.help
+    };
+}
+
+function parsePositiveInteger(text, flag) {
+    const value = Number(text);
+    if (!Number.isInteger(value) || value <= 0) {
+        throw new Error(`${flag} must be a positive integer`);
+    }
+    return value;
+}
+
+// Every scenario gets a connection of its own, opened before its first step
+function runAll(scenarios, options, host, port, callback) {
+    let allPassed = true;
+
+    function next(index) {
+        if (index === scenarios.length) {
+            callback(allPassed);
+            return;
+        }
+
+        const scenario = scenarios[index];
+        const client = createSimulatedClient({
+            host,
+            port,
+            useTls: options.tls,
+            deviceToken: options.deviceToken,
+            timeoutMs: options.timeoutMs
+        });
+
+        console.log(`\n▶️ ${scenario.name}`);
+        client.connect((error) => {
+            if (error) {
+                console.error(`❌ Cannot connect to ${host}:${port}: ${error.message}`);
+                allPassed = false;
+                next(index + 1);
+                return;
+            }
+
+            runScenario(scenario, client, (runError, report) => {
+                report.steps.forEach(step => {
+                    const label = scenario.steps[step.index].action;
+                    console.log(`   ${step.passed ? '✅' : '❌'} ${step.index + 1}. ${label} (${step.durationMs}ms)${step.error ? ` - ${step.error}` : ''}`);
+                });
+                console.log(report.passed ? `✅ ${scenario.name} passed` : `❌ ${scenario.name} failed`);
+                allPassed = allPassed && report.passed;
+                client.disconnect(false, () => next(index + 1));
+            });
+        });
+    }
+    next(0);
+}
+
+main();
@@ -1,16 +1,39 @@
 const chokidar = require('chokidar');
 const fs = require('fs');
 const path = require('path');
-
-const EXPECTED_MESSAGE_1 = 'Successful handshake';
-const EXPECTED_MESSAGE_2 = 'WebSocket connection established';
-const EXPECTED_MESSAGE_3 = 'Voice activity detection started';
-const EXPECTED_MESSAGE_4 = 'Voice activity detection stopped';
-const EXPECTED_MESSAGE_5 = 'Started playing response';
-const EXPECTED_MESSAGE_6 = 'Stopped playing response';
-const logsDir = 'private/logs';
-const testDir = 'private/test';
+const zlib = require('zlib');
+const { loadConfig } = require('./server/config');
+const { createLogStore } = require('./server/log-store');
+const { parseSessionRanges } = require('./server/log-query');
+const { buildSessionResult, toJUnitXml, summarizeResults } = require('./server/test-reports');
+const {
+    loadRequirementsSpec,
+    evaluateSessionLogs,
+    formatRequirementStatus,
+    formatLatencies,
+    formatTimeouts
+} = require('./server/requirements');
+
+let config;
+try {
+    config = loadConfig();
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}
+const logsDir = config.logsDir;
+const testDir = config.testReports.dir;
+const logStore = createLogStore({
+    logsDir,
+    counterFile: config.logs.counterFile,
+    keepUncompressed: config.logs.keepUncompressed,
+    retention: config.logs.retention
+});
+const DEADLINE_MARGIN_MS = 100;
 const sessionStates = new Map();
+// Latest result per session, for summary.json without re-reading every <n>.json
+const liveResults = new Map();
+let spec;
 
 process.on('uncaughtException', (error) => {
     console.error(`💥 FATAL: Uncaught exception! ${error}\n❌ Test system crashed - this should NEVER happen!`);
@@ -24,198 +47,335 @@ process.on('unhandledRejection', (reason, promise) => {
 
 console.log('Test system starting...');
 
-if (!fs.existsSync(logsDir)) {
-    fs.mkdirSync(logsDir, { recursive: true });
-    console.log('Created logs directory');
-}
-
-if (!fs.existsSync(testDir)) {
-    fs.mkdirSync(testDir, { recursive: true });
-    console.log('Created test directory');
+try {
+    spec = loadRequirementsSpec(config.requirementsFile);
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
 }
-
-const logFiles = fs.readdirSync(logsDir).filter(f => f.endsWith('.json')).length;
-const testFiles = fs.readdirSync(testDir).filter(f => f.endsWith('.txt')).length;
-
-if (logFiles !== testFiles) {
-    console.error(`❌ File count mismatch! Logs: ${logFiles}, Tests: ${testFiles}`);
+console.log(`📋 ${spec.requirements.length} requirements from ${config.requirementsFile}`);
+
+const [command, ...commandArgs] = config.command;
+if (command === 'replay') {
+    runReplay(commandArgs);
+} else if (command) {
+    console.error(`❌ Unknown command: ${command}`);
+    console.error('Usage: node test-system.js [replay <session | range | file>...]');
     process.exit(1);
+} else {
+    startLiveTesting();
 }
 
-const watcher = chokidar.watch(logsDir, {
-    persistent: true,
-    ignoreInitial: true
-});
+function startLiveTesting() {
+    if (!fs.existsSync(logsDir)) {
+        fs.mkdirSync(logsDir, { recursive: true });
+        console.log('Created logs directory');
+    }
 
-watcher.on('add', (filePath) => {
-    const filename = path.basename(filePath);
-    console.log(`📁 New file detected: ${filename}`);
-    if (!filename.endsWith('.json')) return;
+    if (!fs.existsSync(testDir)) {
+        fs.mkdirSync(testDir, { recursive: true });
+        console.log('Created test directory');
+    }
+    loadLiveResults();
 
-    const sessionNumber = parseInt(filename.replace('.json', ''));
-    const expectedNumber = fs.readdirSync(testDir).filter(f => f.endsWith('.txt')).length + 1;
+    // Sessions are compared by number, not by file count: old logs may have been
+    // compressed or deleted by retention
+    const lastLoggedSession = logStore.lastSessionNumber();
+    const lastTestedSession = lastTestNumber();
 
-    if (sessionNumber !== expectedNumber) {
-        console.error(`❌ Session number mismatch! Got ${sessionNumber}, expected ${expectedNumber}`);
+    if (lastLoggedSession !== lastTestedSession) {
+        console.error(`❌ Session mismatch! Last logged session: ${lastLoggedSession}, last tested session: ${lastTestedSession}`);
         process.exit(1);
     }
 
-    const testFile = path.join(testDir, `${sessionNumber}.txt`);
-    fs.writeFileSync(testFile, `🚀 Test Started at ${new Date().toLocaleString('en-GB')}\nRequirements:\n1) "Successful handshake"\n2) "WebSocket connection established"\n3) "Voice activity detection started"\n4) "Voice activity detection stopped"\n5) "Started playing response"\n6) "Stopped playing response"\n7) "Prompt successfully injected into terminal"\n8) NO errors\n\n`);
-
-    sessionStates.set(sessionNumber, {
-        handshakePassed: false,
-        webRtcConnected: false,
-        vadStarted: false,
-        vadStopped: false,
-        playingStarted: false,
-        playingStopped: false,
-        promptInjected: false,
-        errorDetected: false,
-        errorDetails: [],
-        lastTestState: null,
-        allTestsPassed: false,
-        lastProcessedIndex: -1
-    });
-
-    const sessionWatcher = chokidar.watch(filePath, {
+    const watcher = chokidar.watch(logsDir, {
         persistent: true,
-        ignoreInitial: false
+        ignoreInitial: true
     });
 
-    sessionWatcher.on('change', () => {
-        setTimeout(() => {
-            runTestsForSession(sessionNumber);
-        }, 100);
-    });
-});
+    watcher.on('add', (filePath) => {
+        const filename = path.basename(filePath);
+        console.log(`📁 New file detected: ${filename}`);
+        if (!filename.endsWith('.json')) return;
 
-watcher.on('error', error => {
-    console.error(`💥 FATAL: Directory watcher crashed: ${error.message}\n❌ This should never happen - exiting immediately!`);
-    process.exit(1);
-});
+        const sessionNumber = parseInt(filename.replace('.json', ''));
+        const expectedNumber = lastTestNumber() + 1;
 
-console.log('Watching for new sessions in:', logsDir);
+        if (sessionNumber !== expectedNumber) {
+            console.error(`❌ Session number mismatch! Got ${sessionNumber}, expected ${expectedNumber}`);
+            process.exit(1);
+        }
 
-function runTestsForSession(sessionNumber) {
-    const sessionFile = path.join(logsDir, `${sessionNumber}.json`);
-    const state = sessionStates.get(sessionNumber);
+        concludeEarlierSessions();
 
-    const content = fs.readFileSync(sessionFile, 'utf8');
-    const lines = content.split('\n').filter(line => line.trim());
+        const testFile = path.join(testDir, `${sessionNumber}.txt`);
+        fs.writeFileSync(testFile, `🚀 Test Started at ${new Date().toLocaleString('en-GB')}\nRequirements:\n${formatRequirementList()}\n\n`);
 
-    const startIndex = state.lastProcessedIndex + 1;
+        sessionStates.set(sessionNumber, createSessionState({
+            session: sessionNumber,
+            source: filePath,
+            appendReport: text => fs.appendFileSync(testFile, text),
+            writeResult: writeLiveResult
+        }));
 
-    for (let i = startIndex; i < lines.length; i++) {
-        const line = lines[i];
-        state.lastProcessedIndex = i;
+        const sessionWatcher = chokidar.watch(filePath, {
+            persistent: true,
+            ignoreInitial: false
+        });
 
-        const logData = JSON.parse(line);
+        sessionWatcher.on('change', () => {
+            setTimeout(() => {
+                runTestsForSession(sessionNumber);
+            }, 100);
+        });
+    });
 
-        // Always record ALL errors, not just the first one
-        if (isErrorLog(logData)) {
-            recordError(state, logData);
-        }
+    watcher.on('error', error => {
+        console.error(`💥 FATAL: Directory watcher crashed: ${error.message}\n❌ This should never happen - exiting immediately!`);
+        process.exit(1);
+    });
 
-        if (isHandshakeMessage(logData)) {
-            markHandshakeAsPassed(state);
-        }
+    console.log('Watching for new sessions in:', logsDir);
+}
 
-        if (isWebRtcConnectedMessage(logData)) {
-            state.webRtcConnected = true;
-        }
+// Evaluates recorded sessions as if they arrived live, one log at a time with the
+// logged timestamps as the clock, and prints their reports. Requirements still
+// pending when a recording ends have missed their deadline, or never arrived.
+function runReplay(args) {
+    let recordings;
+    try {
+        recordings = resolveRecordings(args);
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        console.error('Usage: node test-system.js replay <session | range | file>...  e.g. replay 12 20-25 fixtures/ok.json');
+        process.exit(1);
+    }
 
-        if (isVadStartedMessage(logData)) {
-            state.vadStarted = true;
-        }
+    const results = recordings.map(recording => {
+        const report = [];
+        const result = replayRecording(recording, report);
+        console.log(`🔁 Replay of ${recording.label} at ${new Date().toLocaleString('en-GB')}\nRequirements:\n${formatRequirementList()}\n`);
+        console.log(`${report.join('')}🏁 Verdict: ${result.verdict}\n`);
+        return result;
+    });
 
-        if (isVadStoppedMessage(logData)) {
-            state.vadStopped = true;
-        }
+    if (config.testReports.replayDir) {
+        writeReplayResults(results);
+    }
 
-        if (isPlayingStartedMessage(logData)) {
-            state.playingStarted = true;
-        }
+    const failures = results.filter(result => !result.passed).length;
+    console.log(`📋 Replayed ${results.length} session(s): ${results.length - failures} passed, ${failures} failed`);
+    process.exit(failures > 0 ? 1 : 0);
+}
 
-        if (isPlayingStoppedMessage(logData)) {
-            state.playingStopped = true;
+function writeReplayResults(results) {
+    const dir = config.testReports.replayDir;
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'replay.json'), JSON.stringify({ results, summary: summarizeResults(results, results.length) }, null, 2) + '\n');
+    fs.writeFileSync(path.join(dir, 'replay.xml'), toJUnitXml(results));
+    console.log(`📄 Wrote replay.json and replay.xml to ${dir}`);
+}
+
+// Session numbers and ranges (see query-logs.js) from logsDir, or log files (.json or .json.gz)
+function resolveRecordings(args) {
+    if (args.length === 0) {
+        throw new Error('Nothing to replay');
+    }
+
+    return args.flatMap(arg => {
+        if (fs.existsSync(arg) && fs.statSync(arg).isFile()) {
+            return [{ label: arg, session: null, read: () => readLogFile(arg) }];
         }
 
-        if (isPromptInjectedMessage(logData)) {
-            state.promptInjected = true;
+        const ranges = parseSessionRanges(arg);
+        const sessions = logStore.listSessions()
+            .filter(session => ranges.some(range => session.number >= range.from && session.number <= range.to));
+        if (sessions.length === 0) {
+            throw new Error(`No file or session in ${logsDir} matches "${arg}"`);
         }
+        return sessions.map(session => ({
+            label: `session ${session.number}`,
+            session: session.number,
+            read: () => logStore.readSession(session.number)
+        }));
+    });
+}
+
+function readLogFile(file) {
+    const content = fs.readFileSync(file);
+    return (file.endsWith('.gz') ? zlib.gunzipSync(content) : content).toString('utf8');
+}
+
+function replayRecording(recording, report) {
+    let result = null;
+    const state = createSessionState({
+        session: recording.session,
+        source: recording.label,
+        appendReport: text => report.push(text),
+        writeResult: latest => { result = latest; }
+    });
+
+    let logs;
+    try {
+        logs = parseSessionLogs(recording.read());
+    } catch (error) {
+        report.push(`❌ Unreadable log: ${error.message}\n`);
+        return buildSessionResult({ session: recording.session, source: recording.label, verdict: 'ERROR', startedAt: state.startedAt, error: error.message });
     }
 
-    updateTestState(sessionNumber, state);
+    for (let count = 1; count <= logs.length && !state.timedOut; count++) {
+        state.evaluation = evaluateSessionLogs(logs.slice(0, count), spec, Date.parse(logs[count - 1].timestamp));
+        updateTestState(state);
+    }
+    concludeSession(state, logs);
+    return result;
 }
 
-function isErrorLog(logData) {
-    return 'error' in logData.type;
+function lastTestNumber() {
+    return Math.max(0, ...fs.readdirSync(testDir)
+        .filter(f => /^\d+\.txt$/.test(f))
+        .map(f => parseInt(f, 10)));
 }
 
+// Reports are written by the same code live and in replay; only where they go differs.
+// writeResult gets the machine-readable result after every change.
+function createSessionState({ session, source, appendReport, writeResult }) {
+    return {
+        session,
+        source,
+        startedAt: new Date().toISOString(),
+        evaluation: null,
+        lastTestState: null,
+        allTestsPassed: false,
+        timedOut: false,
+        concluded: false,
+        deadlineTimer: null,
+        appendReport,
+        writeResult
+    };
+}
 
-function recordError(state, logData) {
-    // Mark that we've seen an error
-    if (!state.errorDetected) {
-        state.errorDetected = true;
+// The app only ever logs to its newest session, so a new one means the others are over
+function concludeEarlierSessions() {
+    sessionStates.forEach((state, sessionNumber) => {
+        if (state.concluded) return;
+        const verdict = concludeSession(state, parseSessionLogs(logStore.readSession(sessionNumber) || ''));
+        console.log(`🏁 Session ${sessionNumber}: ${verdict}`);
+    });
+}
+
+// Deadlines still pending when a session is over have passed for good; a session
+// that already failed keeps that verdict
+function concludeSession(state, logs) {
+    clearTimeout(state.deadlineTimer);
+    if (!state.timedOut && !(state.evaluation && state.evaluation.failed)) {
+        state.evaluation = evaluateSessionLogs(logs, spec, Infinity);
+        updateTestState(state);
     }
 
-    // Always add to error details array
-    state.errorDetails.push({
-        file: logData.fileName,
-        function: logData.functionName,
-        message: logData.message
-    });
+    state.concluded = true;
+    const verdict = sessionVerdict(state);
+    if (verdict === 'INCOMPLETE') {
+        appendTestResult(state, `❌ INCOMPLETE! ${formatTestStatus(state)}\n`);
+    }
+    state.writeResult(sessionResult(state));
+    return verdict;
 }
 
-function isHandshakeMessage(logData) {
-    return logData.message.includes(EXPECTED_MESSAGE_1);
+function sessionVerdict(state) {
+    if (state.timedOut) return 'TIMEOUT';
+    if (state.allTestsPassed) return 'PASSED';
+    if (state.evaluation.failed) return 'FAILED';
+    return state.concluded ? 'INCOMPLETE' : 'PENDING';
 }
 
-function markHandshakeAsPassed(state) {
-    state.handshakePassed = true;
+function sessionResult(state) {
+    return buildSessionResult({
+        session: state.session,
+        source: state.source,
+        verdict: sessionVerdict(state),
+        evaluation: state.evaluation,
+        startedAt: state.startedAt
+    });
+}
+
+// <n>.json and <n>.xml next to the text report, then the summary over recent sessions
+function writeLiveResult(result) {
+    writeFileAtomically(path.join(testDir, `${result.session}.json`), JSON.stringify(result, null, 2) + '\n');
+    writeFileAtomically(path.join(testDir, `${result.session}.xml`), toJUnitXml([result]));
+
+    liveResults.set(result.session, result);
+    writeFileAtomically(path.join(testDir, 'summary.json'),
+        JSON.stringify(summarizeResults([...liveResults.values()], config.testReports.summarySessions), null, 2) + '\n');
 }
 
-function isWebRtcConnectedMessage(logData) {
-    return logData.message.includes(EXPECTED_MESSAGE_2);
+// Results of earlier runs are read once at startup; after that only changes come in
+function loadLiveResults() {
+    fs.readdirSync(testDir)
+        .filter(file => /^\d+\.json$/.test(file))
+        .forEach(file => {
+            try {
+                const result = JSON.parse(fs.readFileSync(path.join(testDir, file), 'utf8'));
+                liveResults.set(result.session, result);
+            } catch (error) {
+                console.error(`❌ Skipping unreadable test result ${file}: ${error.message}`);
+            }
+        });
 }
 
-function isVadStartedMessage(logData) {
-    return logData.message.includes(EXPECTED_MESSAGE_3);
+function writeFileAtomically(file, content) {
+    const temporaryFile = `${file}.tmp`;
+    fs.writeFileSync(temporaryFile, content);
+    fs.renameSync(temporaryFile, file);
 }
 
-function isVadStoppedMessage(logData) {
-    return logData.message.includes(EXPECTED_MESSAGE_4);
+function formatRequirementList() {
+    return spec.requirements.map((requirement, index) => `${index + 1}) ${requirement.description}`).join('\n');
 }
 
-function isPlayingStartedMessage(logData) {
-    return logData.message.includes(EXPECTED_MESSAGE_5);
+// Every change re-evaluates the whole session, so ordering and count constraints
+// see all logs in the order they were written
+function runTestsForSession(sessionNumber) {
+    const state = sessionStates.get(sessionNumber);
+    // TIMEOUT is the final verdict, whatever the app logs afterwards
+    if (state.timedOut || state.concluded) return;
+
+    const logs = parseSessionLogs(logStore.readSession(sessionNumber) || '');
+
+    state.evaluation = evaluateSessionLogs(logs, spec);
+    updateTestState(state);
+    scheduleDeadlineCheck(sessionNumber, state);
 }
 
-function isPlayingStoppedMessage(logData) {
-    return logData.message.includes(EXPECTED_MESSAGE_6);
+function parseSessionLogs(content) {
+    return content.split('\n')
+        .filter(line => line.trim())
+        .map(line => JSON.parse(line));
 }
 
-function isPromptInjectedMessage(logData) {
-    return logData.message && logData.message.includes('Prompt successfully injected into terminal');
+// Without new logs nothing would notice that a milestone never arrived, so the
+// session is checked again when the next deadline passes
+function scheduleDeadlineCheck(sessionNumber, state) {
+    clearTimeout(state.deadlineTimer);
+    state.deadlineTimer = null;
+    if (state.timedOut || state.evaluation.nextDeadline === null) return;
+
+    const delay = Math.max(state.evaluation.nextDeadline - Date.now(), 0) + DEADLINE_MARGIN_MS;
+    state.deadlineTimer = setTimeout(() => runTestsForSession(sessionNumber), delay);
 }
 
-function updateTestState(sessionNumber, state) {
+function updateTestState(state) {
     const currentState = JSON.stringify({
-        handshake: state.handshakePassed,
-        webRtc: state.webRtcConnected,
-        vadStart: state.vadStarted,
-        vadStop: state.vadStopped,
-        playStart: state.playingStarted,
-        playStop: state.playingStopped,
-        promptInject: state.promptInjected,
-        hasErrors: state.errorDetected,
-        errorCount: state.errorDetails.length  // Track error count changes
+        statuses: state.evaluation.requirements.map(requirement => requirement.status),
+        errorCount: state.evaluation.errors.length  // Track error count changes
     });
 
     if (stateHasChanged(currentState, state)) {
         state.lastTestState = currentState;
-        writeStateChange(sessionNumber, state);
+        writeStateChange(state);
+        if (!state.concluded) {
+            state.writeResult(sessionResult(state));
+        }
     }
 }
 
@@ -223,22 +383,24 @@ function stateHasChanged(currentState, state) {
     return currentState !== state.lastTestState;
 }
 
-function writeStateChange(sessionNumber, state) {
+function writeStateChange(state) {
     const testStatus = formatTestStatus(state);
 
     if (testsJustPassed(state)) {
-        handleTestsPassed(sessionNumber, state, testStatus);
+        handleTestsPassed(state, testStatus);
+    } else if (deadlineMissed(state)) {
+        handleTimeout(state, testStatus);
     } else if (errorOccurredAfterPassing(state)) {
-        handleLateError(sessionNumber, state, testStatus);
+        handleLateError(state, testStatus);
     } else if (errorOccurredBeforePassing(state)) {
-        handleTestFailure(sessionNumber, state, testStatus);
+        handleTestFailure(state, testStatus);
     } else if (testsStillPending(state)) {
-        handleTestsPending(sessionNumber, testStatus);
+        handleTestsPending(state, testStatus);
     }
 }
 
 function formatTestStatus(state) {
-    return `T1:${state.handshakePassed ? '✅' : '❌'} T2:${state.webRtcConnected ? '✅' : '❌'} T3:${state.vadStarted ? '✅' : '❌'} T4:${state.vadStopped ? '✅' : '❌'} T5:${state.playingStarted ? '✅' : '❌'} T6:${state.playingStopped ? '✅' : '❌'} Err:${state.errorDetected ? `❌(${state.errorDetails.length})` : '✅'}`;
+    return formatRequirementStatus(state.evaluation);
 }
 
 function testsJustPassed(state) {
@@ -246,47 +408,71 @@ function testsJustPassed(state) {
 }
 
 function allRequirementsMet(state) {
-    return state.handshakePassed && state.webRtcConnected && state.vadStarted && state.vadStopped && state.playingStarted && state.playingStopped && !state.errorDetected;
+    return state.evaluation.passed;
 }
 
+// A requirement fails for good once it matched more often than its `max`, e.g. the
+// "NO errors" requirement on the first error
 function errorOccurredAfterPassing(state) {
-    return state.errorDetected && state.allTestsPassed;
+    return state.evaluation.failed && state.allTestsPassed;
 }
 
 function errorOccurredBeforePassing(state) {
-    return state.errorDetected && !state.allTestsPassed;
+    return state.evaluation.failed && !state.allTestsPassed;
+}
+
+function deadlineMissed(state) {
+    return state.evaluation.timedOut;
 }
 
 function testsStillPending(state) {
     return !allRequirementsMet(state);
 }
 
-function handleTestsPassed(sessionNumber, state, testStatus) {
+function handleTestsPassed(state, testStatus) {
     state.allTestsPassed = true;
-    appendTestResult(sessionNumber, `\n✅ ALL TESTS PASSED! ${testStatus}\n`);
-    appendTestResult(sessionNumber, `Test completed successfully at ${new Date().toLocaleString('en-GB')}\n`);
+    appendTestResult(state, `\n✅ ALL TESTS PASSED! ${testStatus}\n`);
+    appendLatencies(state);
+    appendTestResult(state, `Test completed successfully at ${new Date().toLocaleString('en-GB')}\n`);
+}
+
+function handleTimeout(state, testStatus) {
+    state.timedOut = true;
+    appendTestResult(state, `\n⏰ TIMEOUT! ${testStatus} | ${formatTimeouts(state.evaluation)}\n`);
+    appendLatencies(state);
+    appendTestResult(state, `Test ended at ${new Date().toLocaleString('en-GB')}\n`);
+}
+
+function appendLatencies(state) {
+    const latencies = formatLatencies(state.evaluation);
+    if (latencies) {
+        appendTestResult(state, `⏱️ Latencies: ${latencies}\n`);
+    }
 }
 
-function handleLateError(sessionNumber, state, testStatus) {
+function handleLateError(state, testStatus) {
     state.allTestsPassed = false;
     const errorSummary = formatErrorSummary(state);
-    appendTestResult(sessionNumber, `❌ LATE ERROR! ${testStatus} | ${errorSummary}\n`);
+    appendTestResult(state, `❌ LATE ERROR! ${testStatus} | ${errorSummary}\n`);
 }
 
-function handleTestFailure(sessionNumber, state, testStatus) {
+function handleTestFailure(state, testStatus) {
     const errorSummary = formatErrorSummary(state);
-    appendTestResult(sessionNumber, `❌ FAILED! ${testStatus} | ${errorSummary}\n`);
+    appendTestResult(state, `❌ FAILED! ${testStatus} | ${errorSummary}\n`);
 }
 
-function handleTestsPending(sessionNumber, testStatus) {
-    appendTestResult(sessionNumber, `⏳ Waiting... ${testStatus}\n`);
+function handleTestsPending(state, testStatus) {
+    appendTestResult(state, `⏳ Waiting... ${testStatus}\n`);
 }
 
 function formatErrorSummary(state) {
-    return state.errorDetails.map(e => `${e.file}:${e.function}:${e.message}`).join('; ');
+    const failed = state.evaluation.requirements
+        .filter(requirement => requirement.status === 'failed')
+        .map(requirement => `${requirement.id} matched ${requirement.count}×`);
+    const errors = state.evaluation.errors.map(e => `${e.fileName}:${e.functionName}:${e.message}`);
+    return [...failed, ...errors].join('; ');
 }
 
-function appendTestResult(sessionNumber, text) {
-    const testFile = path.join(testDir, `${sessionNumber}.txt`);
-    fs.appendFileSync(testFile, text);
+function appendTestResult(state, text) {
+    state.appendReport(text);
 }
\ No newline at end of file
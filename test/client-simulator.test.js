@@ -0,0 +1,224 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSimulatedClient, buildLogMessage, loadScenario, runScenario } = require('../server/client-simulator');
+const { startTestServer } = require('../server/test-server');
+
+const SCENARIOS_DIR = path.join(__dirname, '..', 'scenarios');
+const TEST_SYSTEM_SCRIPT = path.join(__dirname, '..', 'test-system.js');
+const REQUIREMENTS_FILE = path.join(__dirname, '..', 'test-requirements.yaml');
+
+// A 4-byte emoji and 3-byte CJK: 3-byte chunks split every emoji in two
+const MULTI_BYTE_TEXT = 'deploy 🚀 now, 日本語 and 👩‍💻';
+const MULTI_BYTE_CHUNK_SIZE = 3;
+
+let server;
+
+before((t, done) => {
+    startTestServer({}, (error, started) => {
+        server = started;
+        done(error);
+    });
+});
+
+after((t, done) => {
+    if (!server) return done();
+    server.stop(() => done());
+});
+
+// Plays `scenario` against `target` on a connection of its own, the way simulate-client.js does
+function play(target, scenario, callback) {
+    const client = createSimulatedClient({ host: target.host, port: target.port });
+    client.connect((error) => {
+        if (error) return callback(error);
+        runScenario(scenario, client, (runError, report) => {
+            client.disconnect(false, () => callback(runError, report));
+        });
+    });
+}
+
+function describeFailures(target, report) {
+    return report.steps
+        .filter(step => !step.passed)
+        .map(step => `step ${step.index + 1} (${step.action}): ${step.error}`)
+        .join('\n') + `\nServer output:\n${target.output()}`;
+}
+
+// Every log line of every session the server wrote
+function readStoredLogs(target) {
+    return fs.readdirSync(target.logsDir)
+        .filter(file => /^\d+\.json$/.test(file))
+        .flatMap(file => fs.readFileSync(path.join(target.logsDir, file), 'utf8').split('\n'))
+        .filter(line => line.trim())
+        .map(line => JSON.parse(line));
+}
+
+// How many distinct logs and errors the scenario sends
+function countSentLogs(scenario) {
+    return scenario.steps.reduce((count, { action, options }) => {
+        if (['log', 'error'].includes(action)) return count + 1;
+        if (action === 'split' && !options.raw) return count + 1;
+        if (action === 'burst') return count + options.count;
+        return count;
+    }, 0);
+}
+
+// Replays the sessions in the server's logs against test-requirements.yaml
+function replayRequirements(target, callback) {
+    const child = spawn(process.execPath, [
+        TEST_SYSTEM_SCRIPT,
+        '--logs-dir', target.logsDir,
+        '--requirements-file', REQUIREMENTS_FILE,
+        '--test-reports-dir', path.join(target.dir, 'test'),
+        'replay', '1-'
+    ], { cwd: target.dir, stdio: ['ignore', 'pipe', 'pipe'] });
+
+    let output = '';
+    child.stdout.on('data', data => { output += data; });
+    child.stderr.on('data', data => { output += data; });
+    child.on('exit', code => callback(code, output));
+}
+
+// Scenarios whose sessions must also pass the test requirements when replayed
+const MEETS_REQUIREMENTS = ['voice-round-trip.yaml'];
+
+describe('bundled scenarios against the test server', () => {
+    fs.readdirSync(SCENARIOS_DIR)
+        .filter(file => /\.(ya?ml|json)$/.test(file))
+        .sort()
+        .forEach(file => {
+            test(file, (t, done) => {
+                const scenario = loadScenario(path.join(SCENARIOS_DIR, file));
+
+                // A server of its own, so the sessions in its logs are this scenario's alone
+                startTestServer({}, (startError, target) => {
+                    if (startError) return done(startError);
+                    const finish = error => target.stop(() => done(error));
+
+                    play(target, scenario, (error, report) => {
+                        if (error) return finish(error);
+                        try {
+                            assert.ok(report.passed, describeFailures(target, report));
+                            assert.strictEqual(report.steps.length, scenario.steps.length);
+
+                            // Resent logs must not be stored twice
+                            const ids = readStoredLogs(target).map(logData => logData.id);
+                            assert.strictEqual(new Set(ids).size, ids.length, 'every log is stored once');
+                            assert.strictEqual(ids.length, countSentLogs(scenario));
+                        } catch (assertionError) {
+                            return finish(assertionError);
+                        }
+
+                        if (!MEETS_REQUIREMENTS.includes(file)) return finish(null);
+                        replayRequirements(target, (code, output) => {
+                            try {
+                                assert.strictEqual(code, 0, output);
+                                assert.match(output, /Verdict: PASSED/);
+                                finish(null);
+                            } catch (assertionError) {
+                                finish(assertionError);
+                            }
+                        });
+                    });
+                });
+            });
+        });
+});
+
+describe('scenario failures', () => {
+    let dir;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'client-simulator-test-'));
+    });
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('a step that does not get the expected reply fails the scenario and stops it', (t, done) => {
+        const scenarioFile = path.join(dir, 'wrong-expectation.json');
+        fs.writeFileSync(scenarioFile, JSON.stringify({
+            name: 'Wrong expectation',
+            steps: [
+                'start',
+                { prompt: { text: 'A prompt the fake Claude accepts', expect: 'error' } },
+                { log: 'Never sent' }
+            ]
+        }));
+
+        play(server, loadScenario(scenarioFile), (error, report) => {
+            if (error) return done(error);
+            try {
+                assert.strictEqual(report.passed, false);
+                assert.deepStrictEqual(report.steps.map(step => step.passed), [true, false]);
+                assert.match(report.steps[1].error, /expected error/);
+                done();
+            } catch (assertionError) {
+                done(assertionError);
+            }
+        });
+    });
+});
+
+describe('messages split inside multi-byte characters', () => {
+    let client;
+    let sessionNumber;
+
+    before((t, done) => {
+        client = createSimulatedClient({ host: server.host, port: server.port });
+        client.connect((error) => {
+            if (error) return done(error);
+            client.start({}, (startError, handshake) => {
+                if (startError) return done(startError);
+                sessionNumber = handshake.sessionNumber;
+                done();
+            });
+        });
+    });
+
+    after((t, done) => {
+        client.disconnect(false, () => done());
+    });
+
+    test('a log is stored exactly as sent', (t, done) => {
+        const message = buildLogMessage('log', MULTI_BYTE_TEXT);
+        client.sendLogInChunks(message, MULTI_BYTE_CHUNK_SIZE, 5, (error) => {
+            if (error) return done(error);
+            try {
+                const stored = fs.readFileSync(path.join(server.logsDir, `${sessionNumber}.json`), 'utf8')
+                    .split('\n')
+                    .filter(line => line.trim())
+                    .map(line => JSON.parse(line))
+                    .find(logData => logData.id === message.id);
+                assert.ok(stored, `log ${message.id} is in session ${sessionNumber}`);
+                assert.strictEqual(stored.message, MULTI_BYTE_TEXT);
+                done();
+            } catch (assertionError) {
+                done(assertionError);
+            }
+        });
+    });
+
+    test('a prompt is delivered exactly as sent', (t, done) => {
+        const id = 'split-prompt';
+        const line = JSON.stringify({ type: 'prompt', id, deviceToken: 'simulator', prompt: MULTI_BYTE_TEXT, timestamp: Date.now() / 1000 }) + '\n';
+        client.sendInChunks(line, MULTI_BYTE_CHUNK_SIZE, 5, (error) => {
+            if (error) return done(error);
+            client.waitFor(message => message.type === 'prompt_ack' && message.promptId === id && message.status !== 'progress', client.timeoutMs, (ackError, ack) => {
+                if (ackError) return done(ackError);
+                try {
+                    assert.strictEqual(ack.status, 'success');
+                    assert.strictEqual(ack.originalPrompt, MULTI_BYTE_TEXT);
+                    assert.strictEqual(ack.exactMatch, true);
+                    done();
+                } catch (assertionError) {
+                    done(assertionError);
+                }
+            });
+        });
+    });
+});
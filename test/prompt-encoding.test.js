@@ -0,0 +1,225 @@
+const { describe, test, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { toAppleScriptText, toUtf8Bytes } = require('../server/prompt-encoding');
+const { createDeliveryBackend } = require('../server/delivery-backends');
+const { startPromptVerification } = require('../server/prompt-verifier');
+
+// Prompts that a lossy encoding would change or a shell would interpret
+const CASES = {
+    'multi-line text': 'First line\nSecond line\r\n\tIndented third\n',
+    'emoji and CJK text': 'Deploy 🚀 then 日本語のテスト, 한국어 and 👩‍💻',
+    'quotes': `He said "don't" and 'do'`,
+    'backslashes': 'C:\\Users\\claude\\ \\n is not a newline \\',
+    'shell metacharacters': 'echo $HOME `whoami`; rm -rf ~ && $(date) | cat > x',
+    'everything at once': '"$(echo `hi`)";\\\n🎉 中文 \\"done\\"\t$'
+};
+
+const RECORD_TIMEOUT_MS = 5000;
+
+// Stand-ins for tmux, osascript and claude that write what they get on stdin to
+// PROMPT_RECORD_DIR, so the tests see exactly the bytes each backend hands over
+const FAKE_COMMANDS = {
+    tmux: `if (process.argv[2] !== 'load-buffer') process.exit(0);`,
+    osascript: `process.stdout.write('success: fake osascript');`,
+    claude: ''
+};
+
+let recordDir;
+let binDir;
+let originalPath;
+
+before(() => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prompt-encoding-test-'));
+    recordDir = path.join(dir, 'records');
+    binDir = path.join(dir, 'bin');
+    fs.mkdirSync(recordDir);
+    fs.mkdirSync(binDir);
+
+    Object.entries(FAKE_COMMANDS).forEach(([name, body]) => {
+        fs.writeFileSync(path.join(binDir, name), `#!${process.execPath}
+const fs = require('fs');
+const path = require('path');
+${body}
+const chunks = [];
+process.stdin.on('data', chunk => chunks.push(chunk));
+process.stdin.on('end', () => {
+    const file = path.join(process.env.PROMPT_RECORD_DIR, ${JSON.stringify(name)});
+    fs.writeFileSync(file + '.tmp', Buffer.concat(chunks));
+    fs.renameSync(file + '.tmp', file);
+});
+`, { mode: 0o755 });
+    });
+
+    originalPath = process.env.PATH;
+    process.env.PATH = `${binDir}${path.delimiter}${originalPath}`;
+    process.env.PROMPT_RECORD_DIR = recordDir;
+
+    // The backends narrate every step on the console
+    mock.method(console, 'log', () => {});
+});
+
+after(() => {
+    process.env.PATH = originalPath;
+    delete process.env.PROMPT_RECORD_DIR;
+    mock.restoreAll();
+    fs.rmSync(path.dirname(recordDir), { recursive: true, force: true });
+});
+
+// Evaluates an expression built by toAppleScriptText the way AppleScript does: string
+// literals with their escapes and `character id` lists, joined by &
+function evaluateAppleScriptText(expression) {
+    const pattern = /"((?:[^"\\]|\\.)*)"|\(character id \{(\d+(?:, \d+)*)\}\)|\s*&\s*/y;
+    const escapes = { '\\': '\\', '"': '"', n: '\n', r: '\r', t: '\t' };
+    let result = '';
+
+    while (pattern.lastIndex < expression.length) {
+        const index = pattern.lastIndex;
+        const match = pattern.exec(expression);
+        if (!match) throw new Error(`Not an AppleScript text expression at ${index}: ${expression.slice(index)}`);
+
+        if (match[1] !== undefined) {
+            result += match[1].replace(/\\(.)/g, (escape, character) => {
+                if (!(character in escapes)) throw new Error(`AppleScript has no escape ${escape}`);
+                return escapes[character];
+            });
+        } else if (match[2] !== undefined) {
+            result += String.fromCodePoint(...match[2].split(', ').map(Number));
+        }
+    }
+    return result;
+}
+
+// The bytes the fake `name` recorded, once it has finished writing them
+function waitForRecord(name, callback) {
+    const file = path.join(recordDir, name);
+    const startedAt = Date.now();
+
+    (function poll() {
+        if (fs.existsSync(file)) {
+            const bytes = fs.readFileSync(file);
+            fs.unlinkSync(file);
+            return callback(null, bytes);
+        }
+        if (Date.now() - startedAt > RECORD_TIMEOUT_MS) {
+            return callback(new Error(`${name} received nothing within ${RECORD_TIMEOUT_MS}ms`));
+        }
+        setTimeout(poll, 20);
+    })();
+}
+
+// Writes `receivedText` to a conversation the way Claude Code records a prompt and
+// checks that verification reports it as an exact match for `prompt`
+function assertVerifiedExactly(prompt, receivedText, callback) {
+    const conversationDir = fs.mkdtempSync(path.join(os.tmpdir(), 'prompt-encoding-conversation-'));
+    let finished = false;
+
+    function finish(error) {
+        if (finished) return;
+        finished = true;
+        verification.cancel();
+        fs.rmSync(conversationDir, { recursive: true, force: true });
+        callback(error);
+    }
+
+    const verification = startPromptVerification({ conversationDir, prompt, deadlineMs: RECORD_TIMEOUT_MS }, (state, details) => {
+        if (state !== 'seen_by_claude') return finish(new Error(`Verification ended with ${state}`));
+        try {
+            assert.strictEqual(details.receivedText, prompt);
+            assert.strictEqual(details.exactMatch, true);
+            finish(null);
+        } catch (error) {
+            finish(error);
+        }
+    });
+
+    const entry = { type: 'user', timestamp: new Date().toISOString(), message: { role: 'user', content: receivedText } };
+    fs.writeFileSync(path.join(conversationDir, 'conversation.jsonl'), JSON.stringify(entry) + '\n');
+}
+
+describe('toUtf8Bytes', () => {
+    Object.entries(CASES).forEach(([name, text]) => {
+        test(name, () => {
+            const bytes = toUtf8Bytes(text);
+            assert.ok(bytes.equals(Buffer.from(text, 'utf8')));
+            assert.strictEqual(bytes.toString('utf8'), text);
+        });
+    });
+});
+
+describe('toAppleScriptText', () => {
+    Object.entries(CASES).forEach(([name, text]) => {
+        test(name, () => {
+            const expression = toAppleScriptText(text);
+            assert.match(expression, /^[\x20-\x7e]*$/, 'the script must be printable ASCII');
+            assert.strictEqual(evaluateAppleScriptText(expression), text);
+        });
+    });
+
+    test('empty text', () => {
+        assert.strictEqual(evaluateAppleScriptText(toAppleScriptText('')), '');
+    });
+});
+
+describe('tmux backend', () => {
+    const backend = createDeliveryBackend({ backend: 'tmux', tmuxTarget: 'claude' });
+
+    Object.entries(CASES).forEach(([name, text]) => {
+        test(name, (t, done) => {
+            backend.deliver(text, (success, error) => {
+                if (!success) return done(new Error(error));
+                waitForRecord('tmux', (recordError, bytes) => {
+                    if (recordError) return done(recordError);
+                    assert.ok(bytes.equals(Buffer.from(text, 'utf8')), `tmux got ${JSON.stringify(bytes.toString('utf8'))}`);
+                    assertVerifiedExactly(text, bytes.toString('utf8'), done);
+                });
+            });
+        });
+    });
+});
+
+describe('headless backend', () => {
+    const projectDir = os.tmpdir();
+
+    Object.entries(CASES).forEach(([name, text]) => {
+        test(name, (t, done) => {
+            const backend = createDeliveryBackend({
+                backend: 'headless',
+                claudeCommand: path.join(binDir, 'claude'),
+                headlessArgs: ['-p', '--continue'],
+                projectDir
+            });
+            backend.deliver(text, (success, error) => {
+                if (!success) return done(new Error(error));
+                waitForRecord('claude', (recordError, bytes) => {
+                    if (recordError) return done(recordError);
+                    assert.ok(bytes.equals(Buffer.from(text, 'utf8')), `claude got ${JSON.stringify(bytes.toString('utf8'))}`);
+                    assertVerifiedExactly(text, bytes.toString('utf8'), done);
+                });
+            });
+        });
+    });
+});
+
+describe('applescript backend', () => {
+    const backend = createDeliveryBackend({ backend: 'applescript' });
+
+    Object.entries(CASES).forEach(([name, text]) => {
+        test(name, (t, done) => {
+            backend.deliver(text, (success, error) => {
+                if (!success) return done(new Error(error));
+                waitForRecord('osascript', (recordError, bytes) => {
+                    if (recordError) return done(recordError);
+                    const script = bytes.toString('utf8');
+                    const clipboard = script.match(/^\s*set the clipboard to (.*)$/m);
+                    assert.ok(clipboard, 'the script sets the clipboard');
+                    const pasted = evaluateAppleScriptText(clipboard[1]);
+                    assert.strictEqual(pasted, text);
+                    assertVerifiedExactly(text, pasted, done);
+                });
+            });
+        });
+    });
+});
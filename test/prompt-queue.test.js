@@ -0,0 +1,172 @@
+const { describe, test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createPromptQueue } = require('../server/prompt-queue');
+
+const RETRY_BASE_MS = 40;
+
+let dir;
+let file;
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prompt-queue-test-'));
+    file = path.join(dir, 'prompt-queue.json');
+    // The queue narrates recoveries and stale-busy decisions on the console
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+});
+
+// A queue hands out prompts on the next tick and saves its file then, so it is only
+// removed after that
+afterEach((t, done) => {
+    setImmediate(() => {
+        mock.restoreAll();
+        fs.rmSync(dir, { recursive: true, force: true });
+        done();
+    });
+});
+
+function createQueue(options) {
+    return createPromptQueue({
+        file,
+        maxAttempts: 3,
+        retryBaseMs: RETRY_BASE_MS,
+        retryMaxMs: 60000,
+        staleBusyMs: 60000,
+        deliver: (entry, callback) => callback(null),
+        onChange: () => {},
+        ...options
+    });
+}
+
+function writeQueueFile(prompts) {
+    fs.writeFileSync(file, JSON.stringify({ prompts }));
+}
+
+function storedEntry(overrides) {
+    return {
+        id: overrides.id,
+        dedupeKey: `id:${overrides.id}`,
+        prompt: `Prompt ${overrides.id}`,
+        state: 'queued',
+        attempts: 0,
+        nextAttemptAt: null,
+        lastError: null,
+        createdAt: new Date().toISOString(),
+        finishedAt: null,
+        ...overrides
+    };
+}
+
+describe('ordering', () => {
+    test('delivers one prompt at a time in arrival order, each after the previous turn ends', (t, done) => {
+        const delivered = [];
+        // Whether an earlier prompt was still with Claude when each one was handed over
+        const overlapping = [];
+        const queue = createQueue({
+            deliver: (entry, callback) => {
+                delivered.push(entry.prompt);
+                overlapping.push(queue.history().some(other => other.state === 'in_progress'));
+                callback(null);
+                // Claude is busy with the prompt until its turn_done
+                setTimeout(() => {
+                    if (delivered.length === 3) return queue.stop(finish);
+                    queue.noteClaudeActivity('turn_done');
+                }, 20);
+            }
+        });
+
+        ['first', 'second', 'third'].forEach((prompt, index) => queue.enqueue({ prompt, timestamp: index }));
+
+        function finish() {
+            try {
+                assert.deepStrictEqual(delivered, ['first', 'second', 'third']);
+                assert.deepStrictEqual(overlapping, [false, false, false]);
+                assert.deepStrictEqual(queue.history().map(entry => entry.state), ['done', 'done', 'in_progress']);
+                done();
+            } catch (error) {
+                done(error);
+            }
+        }
+    });
+});
+
+describe('retries', () => {
+    test('backs off exponentially and fails after maxAttempts', (t, done) => {
+        const attemptedAt = [];
+        const queue = createQueue({
+            deliver: (entry, callback) => {
+                attemptedAt.push(Date.now());
+                callback(new Error('Terminal is not open'));
+            },
+            onChange: (entry) => {
+                if (entry.state !== 'failed') return;
+                try {
+                    assert.strictEqual(entry.attempts, 3);
+                    assert.strictEqual(entry.lastError, 'Terminal is not open');
+                    assert.strictEqual(attemptedAt.length, 3);
+                    assert.ok(attemptedAt[1] - attemptedAt[0] >= RETRY_BASE_MS);
+                    assert.ok(attemptedAt[2] - attemptedAt[1] >= RETRY_BASE_MS * 2);
+                    queue.stop(() => done());
+                } catch (error) {
+                    done(error);
+                }
+            }
+        });
+
+        queue.enqueue({ prompt: 'Never delivered', timestamp: 1 });
+    });
+});
+
+describe('dedupe', () => {
+    test('a repeated client id is the same entry', () => {
+        const queue = createQueue({ deliver: () => {} });
+        const first = queue.enqueue({ prompt: 'Hello', timestamp: 1, clientId: 'abc' });
+        const again = queue.enqueue({ prompt: 'Hello, edited', timestamp: 2, clientId: 'abc' });
+
+        assert.strictEqual(first.duplicate, false);
+        assert.strictEqual(again.duplicate, true);
+        assert.strictEqual(again.entry, first.entry);
+        assert.strictEqual(queue.history().length, 1);
+    });
+
+    test('without an id, the same text and timestamp are the same entry', () => {
+        const queue = createQueue({ deliver: () => {} });
+        queue.enqueue({ prompt: 'Hello', timestamp: 1 });
+
+        assert.strictEqual(queue.enqueue({ prompt: 'Hello', timestamp: 1 }).duplicate, true);
+        assert.strictEqual(queue.enqueue({ prompt: 'Hello', timestamp: 2 }).duplicate, false);
+        assert.strictEqual(queue.history().length, 2);
+    });
+});
+
+describe('restart', () => {
+    test('a prompt Claude had seen is done, one being delivered is queued again', () => {
+        writeQueueFile([
+            storedEntry({ id: 'seen', state: 'in_progress', attempts: 1 }),
+            storedEntry({ id: 'cut-short', state: 'delivering', attempts: 1 }),
+            storedEntry({ id: 'waiting' })
+        ]);
+
+        const queue = createQueue({ deliver: () => {} });
+        const states = Object.fromEntries(queue.history().map(entry => [entry.id, entry.state]));
+
+        assert.deepStrictEqual(states, { 'seen': 'done', 'cut-short': 'queued', 'waiting': 'queued' });
+        assert.ok(queue.history()[0].finishedAt);
+        assert.deepStrictEqual(JSON.parse(fs.readFileSync(file, 'utf8')).prompts.map(entry => entry.state), ['done', 'queued', 'queued']);
+    });
+
+    test('an unreadable queue file is moved aside and the queue starts empty', () => {
+        fs.writeFileSync(file, '{"prompts": [{"id": "trunc');
+
+        const queue = createQueue({ deliver: () => {} });
+
+        assert.deepStrictEqual(queue.history(), []);
+        assert.strictEqual(fs.existsSync(file), false);
+        const aside = fs.readdirSync(dir).filter(name => name.startsWith('prompt-queue.json.corrupt-'));
+        assert.strictEqual(aside.length, 1);
+        assert.strictEqual(fs.readFileSync(path.join(dir, aside[0]), 'utf8'), '{"prompts": [{"id": "trunc');
+    });
+});
@@ -0,0 +1,65 @@
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startPromptVerification } = require('../server/prompt-verifier');
+
+const DEADLINE_MS = 1500;
+
+let conversationDir;
+
+beforeEach(() => {
+    conversationDir = fs.mkdtempSync(path.join(os.tmpdir(), 'prompt-verifier-test-'));
+});
+
+afterEach(() => {
+    fs.rmSync(conversationDir, { recursive: true, force: true });
+});
+
+// Appends user entries to a conversation the way Claude Code records prompts
+function writeUserEntries(conversationId, texts) {
+    const lines = texts.map(text => JSON.stringify({
+        type: 'user',
+        timestamp: new Date().toISOString(),
+        message: { role: 'user', content: text }
+    }) + '\n');
+    fs.appendFileSync(path.join(conversationDir, `${conversationId}.jsonl`), lines.join(''));
+}
+
+// Hands `check` the first state verification of `prompt` reports after `texts` are written
+function verify(prompt, texts, check, done) {
+    const verification = startPromptVerification({ conversationDir, prompt, deadlineMs: DEADLINE_MS }, (state, details) => {
+        verification.cancel();
+        try {
+            check(state, details);
+            done();
+        } catch (error) {
+            done(error);
+        }
+    });
+    writeUserEntries('conversation', texts);
+}
+
+describe('startPromptVerification', () => {
+    test('a prompt inside a longer entry is not seen', (t, done) => {
+        verify('yes', ['yes, do it', 'continue with yes'], (state) => {
+            assert.strictEqual(state, 'timeout');
+        }, done);
+    });
+
+    test('the entry that is the prompt is seen after longer ones', (t, done) => {
+        verify('yes', ['yes, do it', 'yes'], (state, details) => {
+            assert.strictEqual(state, 'seen_by_claude');
+            assert.strictEqual(details.receivedText, 'yes');
+            assert.strictEqual(details.exactMatch, true);
+        }, done);
+    });
+
+    test('an entry that differs only in whitespace is seen, but not as an exact match', (t, done) => {
+        verify('List  the files\n', ['List the files'], (state, details) => {
+            assert.strictEqual(state, 'seen_by_claude');
+            assert.strictEqual(details.exactMatch, false);
+        }, done);
+    });
+});
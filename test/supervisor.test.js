@@ -0,0 +1,87 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { EXIT_CONFIG_ERROR } = require('../server/supervisor');
+const { startTestServer } = require('../server/test-server');
+
+const SERVER_SCRIPT = path.join(__dirname, '..', 'mac-server.js');
+const EXIT_TIMEOUT_MS = 15000;
+
+// Something else listening on the port the server is told to use
+let blocker;
+let busyPort;
+
+before((t, done) => {
+    blocker = net.createServer();
+    blocker.listen(0, '127.0.0.1', () => {
+        busyPort = blocker.address().port;
+        done();
+    });
+});
+
+after((t, done) => {
+    blocker.close(() => done());
+});
+
+describe('a port that is already in use', () => {
+    test('stops the server with EXIT_CONFIG_ERROR', (t, done) => {
+        startTestServer({ config: { port: busyPort } }, (error, server) => {
+            if (server) return server.stop(() => done(new Error('The server started on a port in use')));
+            try {
+                assert.match(error.message, new RegExp(`exited \\(${EXIT_CONFIG_ERROR}\\)`));
+                assert.match(error.message, /EADDRINUSE/);
+                done();
+            } catch (assertionError) {
+                done(assertionError);
+            }
+        });
+    });
+
+    test('is recorded by the supervisor, which exits without restarting the server', (t, done) => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'supervisor-test-'));
+        const crashLog = path.join(dir, 'crashes.jsonl');
+        const configFile = path.join(dir, 'config.json');
+        fs.writeFileSync(configFile, JSON.stringify({
+            host: '127.0.0.1',
+            port: busyPort,
+            insecure: true,
+            websocket: { enabled: false },
+            dashboard: { enabled: false },
+            projectDir: dir,
+            conversationDir: dir,
+            delivery: { backend: 'fake' },
+            credentials: { upstreamUrl: 'http://127.0.0.1:9/client_secrets' },
+            supervisor: { crashLog }
+        }));
+
+        const supervisor = spawn(process.execPath, [SERVER_SCRIPT, 'supervise', '--config', configFile], {
+            cwd: dir,
+            stdio: ['ignore', 'pipe', 'pipe']
+        });
+        let output = '';
+        supervisor.stdout.on('data', data => { output += data; });
+        supervisor.stderr.on('data', data => { output += data; });
+
+        const timer = setTimeout(() => supervisor.kill('SIGKILL'), EXIT_TIMEOUT_MS);
+        supervisor.on('exit', (code) => {
+            clearTimeout(timer);
+            try {
+                assert.strictEqual(code, EXIT_CONFIG_ERROR, output);
+                const crashes = fs.readFileSync(crashLog, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+                assert.strictEqual(crashes.length, 1);
+                assert.strictEqual(crashes[0].exitCode, EXIT_CONFIG_ERROR);
+                assert.strictEqual(crashes[0].restartInMs, null);
+                assert.match(crashes[0].reason, /EADDRINUSE/);
+                done();
+            } catch (assertionError) {
+                done(assertionError);
+            } finally {
+                fs.rmSync(dir, { recursive: true, force: true });
+            }
+        });
+    });
+});
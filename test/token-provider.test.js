@@ -0,0 +1,97 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { createOpenAIUpstream } = require('../server/token-provider');
+const { createSimulatedClient } = require('../server/client-simulator');
+const { startTestServer } = require('../server/test-server');
+
+const TIMEOUT_MS = 300;
+
+// Answers POST /client_secrets like OpenAI; POST /hang is never answered
+let stub;
+let stubUrl;
+const hangingResponses = [];
+
+before((t, done) => {
+    stub = http.createServer((request, response) => {
+        if (request.url === '/hang') {
+            hangingResponses.push(response);
+            return;
+        }
+        response.setHeader('Content-Type', 'application/json');
+        response.end(JSON.stringify({ value: 'ek_test', expires_at: Math.floor(Date.now() / 1000) + 600 }));
+    });
+    stub.listen(0, '127.0.0.1', () => {
+        stubUrl = `http://127.0.0.1:${stub.address().port}`;
+        done();
+    });
+});
+
+after((t, done) => {
+    hangingResponses.forEach(response => response.destroy());
+    stub.close(() => done());
+});
+
+describe('createOpenAIUpstream', () => {
+    test('returns the client secret the upstream issues', (t, done) => {
+        const upstream = createOpenAIUpstream({ apiKey: 'sk-test', url: `${stubUrl}/client_secrets`, model: 'gpt-realtime', timeoutMs: TIMEOUT_MS });
+        upstream.createClientSecret(600, (error, credentials) => {
+            try {
+                assert.ifError(error);
+                assert.strictEqual(credentials.clientSecret, 'ek_test');
+                done();
+            } catch (assertionError) {
+                done(assertionError);
+            }
+        });
+    });
+
+    test('gives up on an upstream that does not answer within timeoutMs', (t, done) => {
+        const upstream = createOpenAIUpstream({ apiKey: 'sk-test', url: `${stubUrl}/hang`, model: 'gpt-realtime', timeoutMs: TIMEOUT_MS });
+        const startedAt = Date.now();
+        upstream.createClientSecret(600, (error) => {
+            try {
+                assert.match(error.message, new RegExp(`no answer within ${TIMEOUT_MS}ms`));
+                assert.ok(Date.now() - startedAt < TIMEOUT_MS * 10);
+                done();
+            } catch (assertionError) {
+                done(assertionError);
+            }
+        });
+    });
+});
+
+describe('handshake with a hanging upstream', () => {
+    let server;
+
+    before((t, done) => {
+        startTestServer({ config: { credentials: { upstreamUrl: `${stubUrl}/hang`, timeoutMs: TIMEOUT_MS } } }, (error, started) => {
+            server = started;
+            done(error);
+        });
+    });
+
+    after((t, done) => {
+        if (!server) return done();
+        server.stop(() => done());
+    });
+
+    test('goes out without credentials and with credentialsError', (t, done) => {
+        const client = createSimulatedClient({ host: server.host, port: server.port, timeoutMs: TIMEOUT_MS * 10 });
+        client.connect((error) => {
+            if (error) return done(error);
+            client.start({}, (startError, handshake) => {
+                client.disconnect(false, () => {
+                    try {
+                        assert.ifError(startError);
+                        assert.strictEqual(handshake.clientSecret, undefined);
+                        assert.match(handshake.credentialsError, /no answer within/);
+                        done();
+                    } catch (assertionError) {
+                        done(assertionError);
+                    }
+                });
+            });
+        });
+    });
+});